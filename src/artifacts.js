@@ -0,0 +1,212 @@
+/**
+ * Execution artifacts
+ * Programs write files they want to return to the `outputs` directory of their
+ * project. When the caller asks for it, the backends collect them after the run
+ * phase into a store outside the workspace, where they can be downloaded until
+ * they expire. The store is only accessible to the server user and the local
+ * sandbox hides it from programs. Artifacts of signed in users are only
+ * available to them, anonymous ones to anyone with the execution ID.
+ */
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+// Directory in the project whose files are collected
+export const ARTIFACTS_DIRNAME = 'outputs';
+
+// Directory holding collected artifacts, one subdirectory per execution
+export const ARTIFACTS_DIR = process.env.ARTIFACTS_DIR || path.join(os.tmpdir(), 'online-compiler-artifacts');
+
+// Caps on the files collected per execution
+const MAX_ARTIFACTS = parseInt(process.env.MAX_ARTIFACTS, 10) >= 0 ? parseInt(process.env.MAX_ARTIFACTS, 10) : 10;
+const MAX_ARTIFACTS_BYTES = parseInt(process.env.MAX_ARTIFACTS_BYTES, 10) >= 0
+  ? parseInt(process.env.MAX_ARTIFACTS_BYTES, 10)
+  : 10 * 1024 * 1024;
+
+// How long artifacts can be downloaded
+const ARTIFACT_TTL_MS = (parseInt(process.env.ARTIFACT_TTL_MINUTES, 10) > 0
+  ? parseInt(process.env.ARTIFACT_TTL_MINUTES, 10)
+  : 60) * 60 * 1000;
+
+// How often expired artifacts are deleted
+const CLEANUP_INTERVAL_MS = 5 * 60 * 1000;
+
+// Names that are safe in URLs and on any filesystem
+const ARTIFACT_NAME_PATTERN = /^[\w][\w.-]{0,254}$/;
+
+// Execution IDs are UUIDs
+const EXECUTION_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Stored artifacts by execution ID, in the order they were collected
+const stored = new Map();
+
+/**
+ * Create the artifact store, accessible only to the server user
+ * @returns {Promise<void>}
+ */
+export async function createArtifactStore() {
+  await fs.mkdir(ARTIFACTS_DIR, { recursive: true, mode: 0o700 });
+  // mkdir leaves the mode of an existing directory alone
+  await fs.chmod(ARTIFACTS_DIR, 0o700);
+}
+
+/**
+ * Create the outputs directory of a project before the program runs
+ * @param {string} projectDir - Project directory
+ * @returns {Promise<void>}
+ */
+export async function createArtifactsDir(projectDir) {
+  await fs.mkdir(path.join(projectDir, ARTIFACTS_DIRNAME), { recursive: true });
+}
+
+/**
+ * Collect the files a program left in its outputs directory
+ * Only regular files directly in the directory are collected, in name order,
+ * until MAX_ARTIFACTS files or MAX_ARTIFACTS_BYTES are reached. Symlinks,
+ * subdirectories and files with unsafe names are skipped.
+ * @param {string} executionId - Execution ID
+ * @param {string} projectDir - Project directory
+ * @param {Object} options - Collection options
+ * @param {string} options.userId - ID of the signed in user owning the execution, null for anonymous ones
+ * @param {Function} options.beforeCollect - Called before copying if there is anything to collect,
+ * e.g. to stop processes the program left behind (optional)
+ * @returns {Promise<Object>} - artifacts ({ name, size, url }) and truncated, true if files were left out
+ * because of the caps, their type or name, or an error
+ */
+export async function collectArtifacts(executionId, projectDir, options = {}) {
+  const outputsDir = path.join(projectDir, ARTIFACTS_DIRNAME);
+  const collected = { artifacts: [], truncated: false };
+
+  let entries;
+  try {
+    // The program may have replaced the directory, e.g. with a symlink
+    const stats = await fs.lstat(outputsDir);
+    if (!stats.isDirectory()) {
+      return collected;
+    }
+    entries = await fs.readdir(outputsDir, { withFileTypes: true });
+  } catch (error) {
+    return collected;
+  }
+
+  if (entries.length === 0) {
+    return collected;
+  }
+
+  const targetDir = path.join(ARTIFACTS_DIR, executionId);
+  let totalBytes = 0;
+
+  try {
+    if (options.beforeCollect) {
+      await options.beforeCollect();
+    }
+    await createArtifactStore();
+
+    for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+      if (!entry.isFile() || !ARTIFACT_NAME_PATTERN.test(entry.name)) {
+        collected.truncated = true;
+        continue;
+      }
+
+      const source = path.join(outputsDir, entry.name);
+      const stats = await fs.lstat(source);
+      if (!stats.isFile() || collected.artifacts.length >= MAX_ARTIFACTS || totalBytes + stats.size > MAX_ARTIFACTS_BYTES) {
+        collected.truncated = true;
+        continue;
+      }
+
+      await fs.mkdir(targetDir, { recursive: true });
+      await fs.copyFile(source, path.join(targetDir, entry.name));
+      totalBytes += stats.size;
+
+      collected.artifacts.push({
+        name: entry.name,
+        size: stats.size,
+        url: `/api/executions/${executionId}/artifacts/${encodeURIComponent(entry.name)}`
+      });
+    }
+  } catch (error) {
+    // A failed collection must not fail the execution, it keeps what was copied
+    console.error(`Error collecting artifacts of execution ${executionId}:`, error.message);
+    collected.truncated = true;
+  }
+
+  if (collected.artifacts.length > 0) {
+    stored.set(executionId, {
+      userId: options.userId || null,
+      names: collected.artifacts.map(artifact => artifact.name),
+      expiresAt: Date.now() + ARTIFACT_TTL_MS
+    });
+  }
+
+  console.log(`Collected ${collected.artifacts.length} artifact(s) of execution ${executionId}`);
+  return collected;
+}
+
+/**
+ * Get the path of a stored artifact
+ * @param {string} executionId - Execution ID
+ * @param {string} name - Artifact name
+ * @param {string} userId - ID of the signed in user asking for it, null for anonymous requests
+ * @returns {string|null} - Path of the file, or null if unknown, expired or owned by another user
+ */
+export function getArtifactPath(executionId, name, userId) {
+  const entry = stored.get(executionId);
+
+  if (!entry || entry.expiresAt <= Date.now() || !entry.names.includes(name)) {
+    return null;
+  }
+
+  if (entry.userId && entry.userId !== userId) {
+    return null;
+  }
+
+  return path.join(ARTIFACTS_DIR, executionId, name);
+}
+
+/**
+ * Delete the artifacts of expired executions
+ * @returns {Promise<number>} - Number of executions whose artifacts were deleted
+ */
+export async function pruneArtifacts() {
+  const now = Date.now();
+  let deleted = 0;
+
+  for (const [executionId, entry] of stored) {
+    if (entry.expiresAt > now) {
+      continue;
+    }
+
+    stored.delete(executionId);
+    await fs.rm(path.join(ARTIFACTS_DIR, executionId), { recursive: true, force: true });
+    deleted++;
+  }
+
+  return deleted;
+}
+
+/**
+ * Create the artifact store, delete the artifacts left by a previous server process and prune
+ * expired ones every few minutes
+ * @returns {Promise<void>}
+ */
+export async function startArtifactCleanup() {
+  await createArtifactStore();
+
+  // The index of stored artifacts is in memory, so earlier files can't be served anymore.
+  // Only execution directories are removed in case ARTIFACTS_DIR holds anything else.
+  const leftovers = await fs.readdir(ARTIFACTS_DIR).catch(() => []);
+  for (const name of leftovers.filter(name => EXECUTION_ID_PATTERN.test(name))) {
+    await fs.rm(path.join(ARTIFACTS_DIR, name), { recursive: true, force: true });
+  }
+
+  const prune = () => pruneArtifacts().catch(error => {
+    console.error('Error pruning artifacts:', error.message);
+  });
+
+  setInterval(prune, CLEANUP_INTERVAL_MS).unref();
+}
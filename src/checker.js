@@ -0,0 +1,79 @@
+/**
+ * Custom checkers for test cases with more than one valid output
+ * A checker is a program in any executable language that runs in the sandbox
+ * after the submission. It finds the test case input, the expected output and
+ * the submission's output in files next to it, and reports its verdict with
+ * its exit code: 0 accepts the output, 1 rejects it, anything else is a
+ * checker error. Its stdout becomes the message shown with the verdict.
+ */
+import { executeCode } from './execution-backend.js';
+import { getExecutableLanguage, getDefaultFilename } from './language-registry.js';
+
+// Files the checker reads, relative to its working directory
+export const CHECKER_FILES = {
+  input: 'input.txt',
+  expected: 'expected.txt',
+  actual: 'actual.txt'
+};
+
+// Longest checker message kept in results
+const MAX_MESSAGE_LENGTH = 1000;
+
+/**
+ * Validate a checker definition
+ * @param {Object} checker - Checker with language and code
+ * @throws {Error} - If the checker is malformed or its language can't execute code
+ */
+export function validateChecker(checker) {
+  if (!checker || typeof checker.language !== 'string' || typeof checker.code !== 'string' || !checker.code) {
+    throw new Error('A checker must have a language and code');
+  }
+
+  const language = getExecutableLanguage(checker.language);
+  if (Object.values(CHECKER_FILES).includes(getDefaultFilename(language, checker.code))) {
+    throw new Error('Checker file name clashes with one of the checker data files');
+  }
+}
+
+/**
+ * Judge the output of a test case with a checker
+ * @param {Object} checker - Checker with language and code
+ * @param {Object} testCase - Test case with input and expectedOutput
+ * @param {string} actualOutput - Stdout of the submission
+ * @param {Object} options - Checker options
+ * @param {AbortSignal} options.signal - Cancels the checker
+ * @returns {Promise<Object>} - verdict (accepted, wrong_answer, checker_error or cancelled) and message
+ */
+export async function runChecker(checker, testCase, actualOutput, options = {}) {
+  const language = getExecutableLanguage(checker.language);
+  const checkerFile = getDefaultFilename(language, checker.code);
+
+  const result = await executeCode('', checker.language, '', {
+    files: [
+      { path: checkerFile, content: checker.code },
+      { path: CHECKER_FILES.input, content: testCase.input || '' },
+      { path: CHECKER_FILES.expected, content: testCase.expectedOutput || '' },
+      { path: CHECKER_FILES.actual, content: actualOutput || '' }
+    ],
+    entryPoint: checkerFile,
+    signal: options.signal
+  });
+
+  if (result.status === 'cancelled') {
+    return { verdict: 'cancelled', message: null };
+  }
+
+  const message = result.stdout.trim().slice(0, MAX_MESSAGE_LENGTH);
+
+  if (result.status === 'success') {
+    return { verdict: 'accepted', message };
+  }
+
+  if (result.status === 'error' && result.exitCode === 1) {
+    return { verdict: 'wrong_answer', message };
+  }
+
+  // Crashes, compile errors and limits of the checker are the challenge author's problem
+  console.error(`Checker failed with status ${result.status}:`, (result.compile ? result.compile.output : result.stderr).slice(0, MAX_MESSAGE_LENGTH));
+  return { verdict: 'checker_error', message: `Checker failed with status ${result.status}` };
+}
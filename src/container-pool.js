@@ -0,0 +1,339 @@
+/**
+ * Warm container pool for code execution
+ * Keeps pre-created, network-less idle containers ("sandboxes") per language so
+ * an execution only has to claim one instead of creating and starting a container.
+ * Sandboxes are single use: after a run the container is destroyed and the pool
+ * is refilled in the background. Containers and workspaces are scoped to this
+ * server instance, so instances sharing a Docker daemon leave each other's
+ * pools alone.
+ */
+import Docker from 'dockerode';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { v4 as uuidv4 } from 'uuid';
+import dotenv from 'dotenv';
+import { getLanguages } from './language-registry.js';
+import { getExecutionLimits } from './execution-limits.js';
+import { getContainerSecurityOptions } from './security-profile.js';
+
+// Load environment variables
+dotenv.config();
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Initialize Docker client with socket path from environment variables
+const dockerSocketPath = process.env.DOCKER_SOCKET || '/var/run/docker.sock';
+
+const docker = new Docker({
+  socketPath: dockerSocketPath
+});
+
+// Label marking containers created by this service, its value is the language ID
+const SANDBOX_LABEL = 'online-compiler.sandbox';
+
+// Label naming the server instance a container belongs to
+const INSTANCE_LABEL = 'online-compiler.instance';
+
+// Stable across restarts so an instance finds the containers it left behind
+const INSTANCE_ID = (process.env.SANDBOX_INSTANCE_ID || os.hostname()).replace(/[^\w.-]/g, '_');
+
+// Working directory of the program inside the container
+export const WORK_DIR = '/code';
+
+// Host directory holding the workspace of each sandbox of this instance
+const SANDBOX_ROOT = path.join(__dirname, '..', 'temp', 'sandboxes', INSTANCE_ID);
+
+// Pool size for languages that don't set poolSize
+const DEFAULT_POOL_SIZE = parseInt(process.env.CONTAINER_POOL_SIZE, 10) || 0;
+
+// Per-language overrides, e.g. "python:4,javascript:2"
+const POOL_SIZE_OVERRIDES = parsePoolSizes(process.env.CONTAINER_POOL_SIZES);
+
+// Pools by language ID
+const pools = new Map();
+
+// Removal of the sandboxes of a previous run, sandboxes are only created once it's done
+let staleRemoval = Promise.resolve();
+
+/**
+ * Parse pool size overrides
+ * @param {string} value - Comma-separated language:size pairs
+ * @returns {Map<string, number>} - Pool size by language ID
+ */
+function parsePoolSizes(value) {
+  const sizes = new Map();
+
+  for (const entry of (value || '').split(',')) {
+    const [language, size] = entry.split(':').map(part => part && part.trim());
+    if (language && !isNaN(parseInt(size, 10))) {
+      sizes.set(language.toLowerCase(), parseInt(size, 10));
+    }
+  }
+
+  return sizes;
+}
+
+/**
+ * Get the pool of a language, creating it on first use
+ * @param {Object} language - Language definition
+ * @returns {Object} - Pool with idle sandboxes and counters
+ */
+function getPool(language) {
+  if (!pools.has(language.id)) {
+    pools.set(language.id, {
+      language,
+      size: POOL_SIZE_OVERRIDES.get(language.id) ?? language.poolSize ?? DEFAULT_POOL_SIZE,
+      idle: [],
+      inUse: 0,
+      pending: 0,
+      stats: { created: 0, destroyed: 0, claims: 0, hits: 0, misses: 0, unhealthy: 0, errors: 0 }
+    });
+  }
+
+  return pools.get(language.id);
+}
+
+/**
+ * Create and start an idle sandbox container for a language
+ * @param {Object} language - Language definition
+ * @returns {Promise<Object>} - Sandbox with id, container, dir and language
+ */
+async function createSandbox(language) {
+  const limits = getExecutionLimits(language);
+  const security = getContainerSecurityOptions(language);
+  const id = uuidv4();
+  const dir = path.join(SANDBOX_ROOT, id);
+
+  await staleRemoval;
+  await fs.mkdir(dir, { recursive: true });
+  // The program runs as an unprivileged user that needs to write to its workspace
+  await fs.chmod(dir, 0o777);
+
+  try {
+    // Pull the Docker image if not already available
+    try {
+      await docker.getImage(language.image).inspect();
+    } catch (error) {
+      console.log(`Pulling image: ${language.image}`);
+      await pullImage(language.image);
+    }
+
+    const container = await docker.createContainer({
+      Image: language.image,
+      // Keep the container idle, phases of an execution run through exec
+      Cmd: ['tail', '-f', '/dev/null'],
+      WorkingDir: WORK_DIR,
+      User: security.User,
+      Env: security.Env,
+      Labels: { [SANDBOX_LABEL]: language.id, [INSTANCE_LABEL]: INSTANCE_ID },
+      HostConfig: {
+        Binds: [`${dir}:${WORK_DIR}`],
+        NetworkMode: 'none', // Disable network access for security
+        Memory: limits.memoryMb * 1024 * 1024, // Memory limit
+        MemorySwap: limits.memoryMb * 1024 * 1024, // Disable swap
+        CpuPeriod: 100000, // CPU quota period in microseconds
+        CpuQuota: limits.cpuPercent * 1000, // CPU quota (percentage of one CPU)
+        PidsLimit: 50, // Limit number of processes
+        AutoRemove: false, // Removed explicitly once the sandbox is destroyed
+        // Unprivileged user, no capabilities, read-only root filesystem with a /tmp scratch area
+        ...security.hostConfig
+      },
+      Tty: false
+    });
+
+    await container.start();
+
+    getPool(language).stats.created++;
+    return { id, container, dir, language };
+  } catch (error) {
+    await fs.rm(dir, { recursive: true, force: true });
+    throw error;
+  }
+}
+
+/**
+ * Claim a sandbox for an execution
+ * Takes a healthy idle sandbox from the pool, or creates one if there is none
+ * @param {Object} language - Language definition
+ * @returns {Promise<Object>} - Sandbox
+ */
+export async function claimSandbox(language) {
+  const pool = getPool(language);
+  pool.stats.claims++;
+
+  let sandbox = pool.idle.shift();
+  while (sandbox && !(await isHealthy(sandbox))) {
+    pool.stats.unhealthy++;
+    console.warn(`Discarding unhealthy pooled ${language.id} container ${sandbox.id}`);
+    await destroySandbox(sandbox);
+    sandbox = pool.idle.shift();
+  }
+
+  if (sandbox) {
+    pool.stats.hits++;
+  } else {
+    pool.stats.misses++;
+    sandbox = await createSandbox(language);
+  }
+
+  pool.inUse++;
+
+  // Replace the claimed sandbox in the background
+  refillPool(language);
+
+  return sandbox;
+}
+
+/**
+ * Check that an idle sandbox can still run an execution
+ * Idle containers can stop, e.g. when the daemon restarts or someone removes them
+ * @param {Object} sandbox - Sandbox
+ * @returns {Promise<boolean>} - Whether the container is running and its workspace exists
+ */
+async function isHealthy(sandbox) {
+  try {
+    const info = await sandbox.container.inspect();
+    if (!info.State.Running || info.State.Paused || info.State.Restarting) {
+      return false;
+    }
+
+    await fs.access(sandbox.dir);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Destroy a sandbox after its execution finished
+ * @param {Object} sandbox - Sandbox returned by claimSandbox
+ * @returns {Promise<void>}
+ */
+export async function releaseSandbox(sandbox) {
+  const pool = getPool(sandbox.language);
+  pool.inUse--;
+
+  await destroySandbox(sandbox);
+  refillPool(sandbox.language);
+}
+
+/**
+ * Remove the container and workspace of a sandbox
+ * @param {Object} sandbox - Sandbox
+ * @returns {Promise<void>}
+ */
+async function destroySandbox(sandbox) {
+  try {
+    await sandbox.container.remove({ force: true });
+  } catch (error) {
+    console.error(`Error removing sandbox container ${sandbox.id}:`, error);
+  }
+
+  try {
+    await fs.rm(sandbox.dir, { recursive: true, force: true });
+  } catch (error) {
+    console.error(`Error cleaning up sandbox directory ${sandbox.id}:`, error);
+  }
+
+  getPool(sandbox.language).stats.destroyed++;
+}
+
+/**
+ * Create sandboxes until the pool of a language reaches its size
+ * @param {Object} language - Language definition
+ */
+function refillPool(language) {
+  const pool = getPool(language);
+
+  while (pool.idle.length + pool.pending < pool.size) {
+    pool.pending++;
+
+    createSandbox(language)
+      .then(sandbox => pool.idle.push(sandbox))
+      .catch(error => {
+        pool.stats.errors++;
+        console.error(`Error creating pooled ${language.id} container:`, error.message);
+      })
+      .finally(() => {
+        pool.pending--;
+      });
+  }
+}
+
+/**
+ * Remove sandboxes left over by a previous run of this instance and fill all pools
+ * Sandboxes are only created once the stale ones are gone, so executions
+ * claiming one during the warm-up wait for it.
+ * @returns {Promise<void>}
+ */
+export async function warmUpPools() {
+  staleRemoval = removeStaleSandboxes();
+  await staleRemoval;
+
+  for (const language of getLanguages()) {
+    if (language.run) {
+      refillPool(language);
+    }
+  }
+}
+
+/**
+ * Remove the containers and workspaces left over by a previous run of this instance
+ * @returns {Promise<void>}
+ */
+async function removeStaleSandboxes() {
+  try {
+    const stale = await docker.listContainers({
+      all: true,
+      filters: { label: [SANDBOX_LABEL, `${INSTANCE_LABEL}=${INSTANCE_ID}`] }
+    });
+    for (const info of stale) {
+      await docker.getContainer(info.Id).remove({ force: true });
+    }
+    if (stale.length > 0) {
+      console.log(`Removed ${stale.length} stale sandbox container(s)`);
+    }
+    await fs.rm(SANDBOX_ROOT, { recursive: true, force: true });
+  } catch (error) {
+    console.error('Error removing stale sandbox containers:', error.message);
+  }
+}
+
+/**
+ * Get pool statistics for every language that has a pool
+ * @returns {Array<Object>} - Size, idle, in use, pending and counters per language
+ */
+export function getPoolStats() {
+  return [...pools.values()].map(pool => ({
+    language: pool.language.id,
+    size: pool.size,
+    idle: pool.idle.length,
+    inUse: pool.inUse,
+    pending: pool.pending,
+    ...pool.stats
+  }));
+}
+
+/**
+ * Pull a Docker image
+ * @param {string} image - The image to pull
+ * @returns {Promise<void>}
+ */
+async function pullImage(image) {
+  return new Promise((resolve, reject) => {
+    docker.pull(image, (err, stream) => {
+      if (err) {
+        return reject(err);
+      }
+
+      docker.modem.followProgress(stream, (err, output) => {
+        if (err) {
+          return reject(err);
+        }
+        resolve(output);
+      });
+    });
+  });
+}
@@ -23,21 +23,98 @@ const client = new MongoClient(uri, {
 const DB_NAME = 'online-compiler';
 const USERS_COLLECTION = 'users';
 const CODE_SNIPPETS_COLLECTION = 'code-snippets';
+const SUBMISSIONS_COLLECTION = 'submissions';
+const EXECUTIONS_COLLECTION = 'executions';
+
+// Fields of execution records left out of history listings
+const EXECUTION_DETAIL_FIELDS = { _id: 0, input: 0, result: 0 };
+
+// Days execution records are kept, 0 keeps them forever
+const EXECUTION_RETENTION_DAYS = parseInt(process.env.EXECUTION_RETENTION_DAYS, 10) >= 0
+  ? parseInt(process.env.EXECUTION_RETENTION_DAYS, 10)
+  : 30;
+
+// Index creation, started on the first connection
+let indexesCreated = null;
 
 /**
  * Connect to MongoDB
+ * The first connection also creates the indexes
  */
 export async function connectToDatabase() {
   try {
     await client.connect();
     console.log('Connected to MongoDB');
-    return client.db(DB_NAME);
+    const db = client.db(DB_NAME);
+
+    if (!indexesCreated) {
+      indexesCreated = createIndexes(db).catch(error => {
+        // Queries still work without indexes, try again on the next connection
+        console.error('Error creating MongoDB indexes:', error);
+        indexesCreated = null;
+      });
+    }
+    await indexesCreated;
+
+    return db;
   } catch (error) {
     console.error('MongoDB connection error:', error);
     throw error;
   }
 }
 
+/**
+ * Create the indexes of the execution history
+ * Records are looked up by execution ID and listed per user, newest first. The
+ * TTL index on createdAt lets MongoDB delete records older than
+ * EXECUTION_RETENTION_DAYS.
+ * @param {Object} db - MongoDB database
+ * @returns {Promise<void>}
+ */
+async function createIndexes(db) {
+  const executionsCollection = db.collection(EXECUTIONS_COLLECTION);
+
+  await executionsCollection.createIndex({ executionId: 1 });
+  await executionsCollection.createIndex({ userId: 1, createdAt: -1 });
+  await createRetentionIndex(db, executionsCollection);
+
+  console.log('MongoDB indexes ready');
+}
+
+/**
+ * Create the createdAt index of execution records, with a TTL unless retention is disabled
+ * An existing index is updated if EXECUTION_RETENTION_DAYS changed, since
+ * MongoDB refuses to create an index that differs only in its options.
+ * @param {Object} db - MongoDB database
+ * @param {Object} executionsCollection - Executions collection
+ * @returns {Promise<void>}
+ */
+async function createRetentionIndex(db, executionsCollection) {
+  const expireAfterSeconds = EXECUTION_RETENTION_DAYS > 0 ? EXECUTION_RETENTION_DAYS * 24 * 60 * 60 : undefined;
+  const indexes = await executionsCollection.indexes().catch(() => []);
+  const existing = indexes.find(index => JSON.stringify(index.key) === JSON.stringify({ createdAt: 1 }));
+
+  if (existing && existing.expireAfterSeconds === expireAfterSeconds) {
+    return;
+  }
+
+  if (existing && existing.expireAfterSeconds !== undefined && expireAfterSeconds !== undefined) {
+    await db.command({
+      collMod: EXECUTIONS_COLLECTION,
+      index: { keyPattern: { createdAt: 1 }, expireAfterSeconds }
+    });
+  } else {
+    if (existing) {
+      await executionsCollection.dropIndex(existing.name);
+    }
+    await executionsCollection.createIndex({ createdAt: 1 }, expireAfterSeconds ? { expireAfterSeconds } : {});
+  }
+
+  console.log(expireAfterSeconds
+    ? `Execution records expire after ${EXECUTION_RETENTION_DAYS} days`
+    : 'Execution retention disabled, records are kept forever');
+}
+
 /**
  * Save a user to the database
  * @param {Object} user - User object
@@ -174,3 +251,95 @@ export async function deleteAllUserSnippets(userId) {
     throw error;
   }
 }
+
+/**
+ * Save a challenge submission
+ * @param {Object} submission - Submission with userId, challengeId, language, code, score, status and metrics
+ * @returns {Promise<Object>} - Saved submission with MongoDB _id
+ */
+export async function saveSubmission(submission) {
+  try {
+    const db = await connectToDatabase();
+    const submissionsCollection = db.collection(SUBMISSIONS_COLLECTION);
+    
+    const document = {
+      ...submission,
+      createdAt: new Date()
+    };
+    
+    const result = await submissionsCollection.insertOne(document);
+    return { ...document, _id: result.insertedId };
+  } catch (error) {
+    console.error('Error saving submission:', error);
+    throw error;
+  }
+}
+
+/**
+ * Save an execution record
+ * @param {Object} execution - Execution record with executionId, userId, language, codeHash, input, result, metrics and timestamps
+ * @returns {Promise<Object>} - Saved execution with MongoDB _id
+ */
+export async function saveExecution(execution) {
+  try {
+    const db = await connectToDatabase();
+    const executionsCollection = db.collection(EXECUTIONS_COLLECTION);
+    
+    const document = {
+      ...execution,
+      createdAt: new Date()
+    };
+    
+    const result = await executionsCollection.insertOne(document);
+    return { ...document, _id: result.insertedId };
+  } catch (error) {
+    console.error('Error saving execution:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a page of a user's executions, newest first
+ * @param {string} userId - User ID
+ * @param {Object} options - Pagination options
+ * @param {number} options.page - 1-based page number
+ * @param {number} options.limit - Executions per page
+ * @returns {Promise<Object>} - executions (without input and result) and total count
+ */
+export async function getUserExecutions(userId, { page, limit }) {
+  try {
+    const db = await connectToDatabase();
+    const executionsCollection = db.collection(EXECUTIONS_COLLECTION);
+    
+    const [executions, total] = await Promise.all([
+      executionsCollection
+        .find({ userId }, { projection: EXECUTION_DETAIL_FIELDS })
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .toArray(),
+      executionsCollection.countDocuments({ userId })
+    ]);
+    
+    return { executions, total };
+  } catch (error) {
+    console.error('Error getting executions:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get an execution record by execution ID
+ * @param {string} executionId - Execution ID
+ * @returns {Promise<Object|null>} - Execution record or null if not found
+ */
+export async function getExecution(executionId) {
+  try {
+    const db = await connectToDatabase();
+    const executionsCollection = db.collection(EXECUTIONS_COLLECTION);
+    return await executionsCollection.findOne({ executionId }, { projection: { _id: 0 } });
+  } catch (error) {
+    console.error('Error getting execution:', error);
+    throw error;
+  }
+}
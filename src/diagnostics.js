@@ -0,0 +1,186 @@
+/**
+ * Compiler diagnostics parsing
+ * Turns compiler output into structured diagnostics the editor can display
+ */
+
+// file:line:column: severity: message
+const GCC_PATTERN = /^(.+?):(\d+):(\d+): (fatal error|error|warning|note): (.*)$/;
+
+// File.java:line: severity: message
+const JAVAC_PATTERN = /^(.+?\.java):(\d+): (error|warning): (.*)$/;
+
+// file.go:line:column: message
+const GO_PATTERN = /^(.+?\.go):(\d+):(\d+): (.*)$/;
+
+// severity[code]: message, followed by " --> file:line:column"
+const RUSTC_PATTERN = /^(error|warning)(?:\[\w+\])?: (.*)$/;
+const RUSTC_LOCATION_PATTERN = /^\s*--> (.+?):(\d+):(\d+)$/;
+
+// file(line,column): severity code: message, used by tsc and mcs
+const MSBUILD_PATTERN = /^(.+?)\((\d+),(\d+)\): (error|warning) (\w+): (.*)$/;
+
+/**
+ * Parse compiler output into diagnostics
+ * @param {string} format - Compiler output format (gcc, javac, go, rustc or msbuild)
+ * @param {string} output - Compiler output
+ * @returns {Array<Object>} - Diagnostics with file, line, column, severity and message
+ */
+export function parseDiagnostics(format, output) {
+  if (!output) {
+    return [];
+  }
+
+  switch (format) {
+    case 'gcc':
+      return parseGccDiagnostics(output);
+    case 'javac':
+      return parseJavacDiagnostics(output);
+    case 'go':
+      return parseGoDiagnostics(output);
+    case 'rustc':
+      return parseRustcDiagnostics(output);
+    case 'msbuild':
+      return parseMsbuildDiagnostics(output);
+    default:
+      return [];
+  }
+}
+
+/**
+ * Parse gcc/g++ diagnostics
+ * @param {string} output - Compiler output
+ * @returns {Array<Object>} - Diagnostics
+ */
+function parseGccDiagnostics(output) {
+  const diagnostics = [];
+
+  for (const line of output.split('\n')) {
+    const match = line.match(GCC_PATTERN);
+    if (match) {
+      diagnostics.push({
+        file: normalizeFile(match[1]),
+        line: parseInt(match[2], 10),
+        column: parseInt(match[3], 10),
+        severity: match[4] === 'fatal error' ? 'error' : match[4],
+        message: match[5]
+      });
+    }
+  }
+
+  return diagnostics;
+}
+
+/**
+ * Parse javac diagnostics
+ * javac reports no column, so it is taken from the caret line printed
+ * under the offending source line
+ * @param {string} output - Compiler output
+ * @returns {Array<Object>} - Diagnostics
+ */
+function parseJavacDiagnostics(output) {
+  const diagnostics = [];
+  const lines = output.split('\n');
+
+  for (let i = 0; i < lines.length; i++) {
+    const match = lines[i].match(JAVAC_PATTERN);
+    if (!match) continue;
+
+    // The source line follows the message, then the caret line
+    const caretLine = lines[i + 2] || '';
+    const caretIndex = /^\s*\^\s*$/.test(caretLine) ? caretLine.indexOf('^') : -1;
+
+    diagnostics.push({
+      file: normalizeFile(match[1]),
+      line: parseInt(match[2], 10),
+      column: caretIndex >= 0 ? caretIndex + 1 : null,
+      severity: match[3],
+      message: match[4]
+    });
+  }
+
+  return diagnostics;
+}
+
+/**
+ * Parse Go compiler diagnostics, which are always errors
+ * @param {string} output - Compiler output
+ * @returns {Array<Object>} - Diagnostics
+ */
+function parseGoDiagnostics(output) {
+  const diagnostics = [];
+
+  for (const line of output.split('\n')) {
+    const match = line.match(GO_PATTERN);
+    if (match) {
+      diagnostics.push({
+        file: normalizeFile(match[1]),
+        line: parseInt(match[2], 10),
+        column: parseInt(match[3], 10),
+        severity: 'error',
+        message: match[4]
+      });
+    }
+  }
+
+  return diagnostics;
+}
+
+/**
+ * Parse rustc diagnostics
+ * The location is on the " --> " line following the message
+ * @param {string} output - Compiler output
+ * @returns {Array<Object>} - Diagnostics
+ */
+function parseRustcDiagnostics(output) {
+  const diagnostics = [];
+  const lines = output.split('\n');
+
+  for (let i = 0; i < lines.length; i++) {
+    const match = lines[i].match(RUSTC_PATTERN);
+    const location = (lines[i + 1] || '').match(RUSTC_LOCATION_PATTERN);
+    if (!match || !location) continue;
+
+    diagnostics.push({
+      file: normalizeFile(location[1]),
+      line: parseInt(location[2], 10),
+      column: parseInt(location[3], 10),
+      severity: match[1],
+      message: match[2]
+    });
+  }
+
+  return diagnostics;
+}
+
+/**
+ * Parse diagnostics in the file(line,column) format of tsc and mcs
+ * @param {string} output - Compiler output
+ * @returns {Array<Object>} - Diagnostics
+ */
+function parseMsbuildDiagnostics(output) {
+  const diagnostics = [];
+
+  for (const line of output.split('\n')) {
+    const match = line.match(MSBUILD_PATTERN);
+    if (match) {
+      diagnostics.push({
+        file: normalizeFile(match[1]),
+        line: parseInt(match[2], 10),
+        column: parseInt(match[3], 10),
+        severity: match[4],
+        message: `${match[5]}: ${match[6]}`
+      });
+    }
+  }
+
+  return diagnostics;
+}
+
+/**
+ * Strip the leading ./ compilers print for files found with `find .`
+ * @param {string} file - File path from compiler output
+ * @returns {string} - Path relative to the project root
+ */
+function normalizeFile(file) {
+  return file.replace(/^\.\//, '');
+}
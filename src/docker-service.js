@@ -3,10 +3,21 @@ import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { v4 as uuidv4 } from 'uuid';
-import { promisify } from 'util';
-import { exec } from 'child_process';
+import { Writable } from 'stream';
+import dotenv from 'dotenv';
+import { createOutputCollector } from './execution-output.js';
+import { parseDiagnostics } from './diagnostics.js';
+import { STDIN_FILENAME, getProjectFiles, getCommandVariables, writeSourceFiles, shareWorkspace } from './workspace.js';
+import { getExecutableLanguage, renderCommand, appendArguments } from './language-registry.js';
+import { getExecutionLimits } from './execution-limits.js';
+import { resolveLanguageOptions, getOptionVariables, describeLanguageOptions } from './language-options.js';
+import { createArtifactsDir, collectArtifacts } from './artifacts.js';
+import { WORK_DIR, claimSandbox, releaseSandbox, warmUpPools } from './container-pool.js';
+import { SIGKILL_EXIT_CODE, createCancelledResult, createRunResult, getExecutionStatus, getTimings, summarizeRun } from './execution-result.js';
+
+// Load environment variables
+dotenv.config();
 
-const execPromise = promisify(exec);
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 // Initialize Docker client with socket path from environment variables
@@ -17,206 +28,591 @@ const docker = new Docker({
   socketPath: dockerSocketPath
 });
 
-// Language configurations
-const languageConfigs = {
-  javascript: {
-    image: 'node:16-alpine',
-    extension: 'js',
-    filename: 'program.js',
-    command: ['node', '/code/program.js'],
-    inputCommand: ['bash', '-c', 'cat /code/input.txt | node /code/program.js'],
-    workDir: '/code'
-  },
-  python: {
-    image: 'python:3.9-alpine',
-    extension: 'py',
-    filename: 'program.py',
-    command: ['python', '/code/program.py'],
-    inputCommand: ['bash', '-c', 'cat /code/input.txt | python /code/program.py'],
-    workDir: '/code'
-  },
-  java: {
-    image: 'openjdk:11-jdk-slim',
-    extension: 'java',
-    filename: 'Main.java',
-    command: ['bash', '-c', 'cd /code && javac Main.java && java Main'],
-    inputCommand: ['bash', '-c', 'cd /code && javac Main.java && cat input.txt | java Main'],
-    workDir: '/code'
-  },
-  cpp: {
-    image: 'gcc:latest',
-    extension: 'cpp',
-    filename: 'program.cpp',
-    command: ['bash', '-c', 'cd /code && g++ -o program program.cpp && ./program'],
-    inputCommand: ['bash', '-c', 'cd /code && g++ -o program program.cpp && cat input.txt | ./program'],
-    workDir: '/code'
-  },
-  c: {
-    image: 'gcc:latest',
-    extension: 'c',
-    filename: 'program.c',
-    command: ['bash', '-c', 'cd /code && gcc -o program program.c && ./program'],
-    inputCommand: ['bash', '-c', 'cd /code && gcc -o program program.c && cat input.txt | ./program'],
-    workDir: '/code'
-  },
-  html: {
-    image: 'nginx:alpine',
-    extension: 'html',
-    filename: 'index.html',
-    command: ['echo', 'HTML files are for preview only'],
-    workDir: '/code'
-  }
-};
+// Remove stale sandboxes before serving and fill the warm container pools
+await warmUpPools();
 
 /**
  * Execute code in a Docker container
+ * The execution claims an idle sandbox container from the warm pool. Compiled
+ * languages run in two phases inside it: a compile phase with its own timeout,
+ * whose result is reported in `compile`, followed by the run phase
  * @param {string} code - The code to execute
  * @param {string} language - The programming language
  * @param {string} input - Standard input for the program
- * @returns {Promise<Object>} - Execution result
+ * @param {Object} options - Execution options
+ * @param {string} options.executionId - ID to use for the execution (generated if omitted)
+ * @param {Function} options.onOutput - Called with { stream, data } for each output chunk while the program runs
+ * @param {Array<Object>} options.files - Project files with path and content, used instead of code
+ * @param {string} options.entryPoint - Path of the file to run, defaults to the first file
+ * @param {AbortSignal} options.signal - Cancels the execution, killing its processes
+ * @param {Readable} options.stdin - Live stdin of an interactive execution, replaces input once the program runs
+ * @param {Array<string>} options.args - Command-line arguments of the program
+ * @param {Object} options.env - Environment variables of the program, validated by the caller
+ * @param {Object} options.limits - Lower timeoutMs, compileTimeoutMs and memoryMb for this execution
+ * @param {Object} options.languageOptions - Compiler and interpreter options from the language's allowlist
+ * @param {boolean} options.collectArtifacts - Whether to collect the files the program writes to outputs/
+ * @param {string} options.userId - ID of the signed in user owning collected artifacts, null for anonymous executions
+ * @param {Array<string>} options.inputs - Inputs to run the program with one after another after compiling
+ * once, used instead of input. The top-level fields describe the last run and `runs` has a summary of each.
+ * @returns {Promise<Object>} - Execution result with stdout, stderr, output, events, compile, languageOptions,
+ * artifacts (files the program wrote to outputs/, if collected) and metrics
  */
-export async function executeCode(code, language, input = '') {
-  const config = languageConfigs[language.toLowerCase()];
+export async function executeCode(code, language, input = '', options = {}) {
+  const config = getExecutableLanguage(language);
+  const limits = getExecutionLimits(config, options.limits);
+  const languageOptions = resolveLanguageOptions(config, options.languageOptions);
   
-  if (!config) {
-    throw new Error(`Unsupported language: ${language}`);
-  }
-  
-  const executionId = uuidv4();
-  const tempDir = path.join(__dirname, '..', 'temp', executionId);
+  const executionId = options.executionId || uuidv4();
+  const startedAt = new Date();
+  let sandbox = null;
+  // Runs finished so far, kept if a later one fails
+  const runs = [];
   
   try {
-    // Create temp directory
-    await fs.mkdir(tempDir, { recursive: true });
-    
-    // Determine filename based on language
-    let filename;
-    if (language.toLowerCase() === 'java') {
-      // For Java, we need to extract the class name or use Main.java
-      const classNameMatch = code.match(/public\s+class\s+(\w+)/);
-      const className = classNameMatch ? classNameMatch[1] : 'Main';
-      filename = `${className}.java`;
-    } else {
-      filename = config.filename || `program.${config.extension}`;
-    }
-    
-    console.log(`Writing code to file: ${filename}`);
+    // Resolve the project files, a single code string becomes one file
+    const { files, entryPoint } = getProjectFiles(code, config, options);
+    const variables = { ...getCommandVariables(files, entryPoint), ...getOptionVariables(languageOptions) };
+    const inputs = options.inputs || [input];
     
-    // Write code to file
-    await fs.writeFile(path.join(tempDir, filename), code);
+    sandbox = await prepareSandbox(config, limits, files, inputs[0], options);
     
-    // Write input to file if provided
-    if (input) {
-      console.log('Writing input to file');
-      await fs.writeFile(path.join(tempDir, 'input.txt'), input);
+    if (options.signal && options.signal.aborted) {
+      return createCancelledResult(executionId, startedAt, describeLanguageOptions(languageOptions));
     }
     
-    // Pull the Docker image if not already available
-    try {
-      await docker.getImage(config.image).inspect();
-    } catch (error) {
-      console.log(`Pulling image: ${config.image}`);
-      await pullImage(config.image);
+    // Compile phase
+    let compile = null;
+    if (config.compile) {
+      console.log(`Compiling ${entryPoint}`);
+      const phase = await compileInSandbox(sandbox, renderCommand(config.compile, variables), limits, {
+        executionId,
+        signal: options.signal
+      });
+      
+      if (phase.cancelled) {
+        return createCancelledResult(executionId, startedAt, describeLanguageOptions(languageOptions));
+      }
+      
+      compile = {
+        status: getExecutionStatus(phase),
+        exitCode: phase.exitCode,
+        stdout: phase.stdout,
+        stderr: phase.stderr,
+        output: phase.output,
+        durationMs: phase.durationMs,
+        diagnostics: parseDiagnostics(config.diagnostics, phase.output)
+      };
+      
+      // Don't run the program if it didn't compile
+      if (compile.status !== 'success') {
+        return {
+          executionId,
+          status: 'compile_error',
+          stdout: '',
+          stderr: '',
+          output: phase.output,
+          events: [],
+          exitCode: phase.exitCode,
+          outputLimitExceeded: false,
+          compile,
+          languageOptions: describeLanguageOptions(languageOptions),
+          artifacts: [],
+          artifactsTruncated: false,
+          metrics: null,
+          ...getTimings(startedAt)
+        };
+      }
     }
     
-    // Create and run container with appropriate command based on input
-    const containerConfig = {
-      Image: config.image,
-      Cmd: input && config.inputCommand ? config.inputCommand : config.command,
-      WorkingDir: config.workDir,
-      HostConfig: {
-        Binds: [`${tempDir}:/code`],
-        NetworkMode: 'none', // Disable network access for security
-        Memory: 512 * 1024 * 1024, // 512MB memory limit
-        MemorySwap: 512 * 1024 * 1024, // Disable swap
-        CpuPeriod: 100000, // CPU quota period in microseconds
-        CpuQuota: 50000, // CPU quota (50% of CPU)
-        PidsLimit: 50, // Limit number of processes
-        ReadonlyRootfs: false, // Need write access for compilation
-        AutoRemove: true // Automatically remove container when it exits
-      },
-      Tty: false,
-      OpenStdin: true,
-      StdinOnce: true
-    };
-    
-    console.log(`Creating container with command: ${JSON.stringify(containerConfig.Cmd)}`);
-    const container = await docker.createContainer(containerConfig);
-    
-    // Start the container
-    console.log('Starting container');
-    await container.start();
-    
-    // Only attach and write input if we're not using the inputCommand approach
-    if (input && !config.inputCommand) {
-      console.log('Attaching to container and writing input');
-      const stream = await container.attach({ stream: true, stdin: true, stdout: true, stderr: true });
-      stream.write(input);
-      stream.end();
+    // Run phase, once per input when there are several
+    for (const [index, runInput] of inputs.entries()) {
+      if (index > 0 && sandbox.killed) {
+        // The processes of the last run couldn't be stopped on their own, continue in a fresh sandbox
+        console.log(`Replacing sandbox ${sandbox.id} of execution ${executionId} for the next input`);
+        const killed = sandbox;
+        sandbox = null;
+        await releaseSandbox(killed);
+        sandbox = await prepareSandbox(config, limits, files, runInput, options);
+        
+        if (config.compile) {
+          const phase = await compileInSandbox(sandbox, renderCommand(config.compile, variables), limits, {
+            executionId,
+            signal: options.signal
+          });
+          if (phase.cancelled) {
+            runs.push(createCancelledResult(executionId, startedAt));
+            break;
+          }
+          if (getExecutionStatus(phase) !== 'success') {
+            throw new Error('The program failed to compile again in a fresh sandbox');
+          }
+        }
+      } else if (index > 0) {
+        await fs.writeFile(path.join(sandbox.dir, STDIN_FILENAME), runInput || '');
+      }
+      
+      const run = createRunResult(await runPhase(sandbox, appendArguments(renderCommand(config.run, variables), options.args), {
+        executionId,
+        timeout: limits.timeoutMs,
+        cpuTimeLimit: limits.cpuTimeLimit,
+        maxOutputBytes: limits.maxOutputBytes,
+        stdinFile: STDIN_FILENAME,
+        stdin: options.stdin,
+        env: options.env,
+        onOutput: options.onOutput,
+        signal: options.signal,
+        collectMetrics: true
+      }));
+      
+      runs.push(run);
+      if (run.status === 'cancelled') {
+        break;
+      }
     }
     
-    // Wait for container to finish
-    const data = await container.wait();
-    
-    // Get container logs
-    const logs = await container.logs({
-      stdout: true,
-      stderr: true
-    });
-    
-    // Parse logs
-    const output = logs.toString();
-    
-    // Cleanup temp directory
-    await fs.rm(tempDir, { recursive: true, force: true });
+    // Stop processes the program left running so they can't swap files while they're collected
+    const run = runs[runs.length - 1];
+    const collected = options.collectArtifacts && run.status !== 'cancelled'
+      ? await collectArtifacts(executionId, sandbox.dir, { userId: options.userId, beforeCollect: () => sandbox.container.kill() })
+      : { artifacts: [], truncated: false };
     
     return {
       executionId,
-      status: data.StatusCode === 0 ? 'success' : 'error',
-      output: output,
-      exitCode: data.StatusCode
+      ...run,
+      compile,
+      languageOptions: describeLanguageOptions(languageOptions),
+      artifacts: collected.artifacts,
+      artifactsTruncated: collected.truncated,
+      ...(options.inputs ? { runs: runs.map(summarizeRun) } : {}),
+      ...getTimings(startedAt)
     };
   } catch (error) {
     console.error('Error executing code:', error);
     
-    // Cleanup temp directory
-    try {
-      await fs.rm(tempDir, { recursive: true, force: true });
-    } catch (cleanupError) {
-      console.error('Error cleaning up temp directory:', cleanupError);
-    }
-    
     return {
       executionId,
       status: 'error',
+      stdout: '',
+      stderr: error.message,
       output: error.message,
-      exitCode: 1
+      events: [{ stream: 'stderr', data: error.message, time: 0 }],
+      exitCode: 1,
+      outputLimitExceeded: false,
+      compile: null,
+      languageOptions: describeLanguageOptions(languageOptions),
+      artifacts: [],
+      artifactsTruncated: false,
+      metrics: null,
+      // Inputs that already ran keep their results
+      ...(options.inputs ? { runs: runs.map(summarizeRun) } : {}),
+      ...getTimings(startedAt)
     };
+  } finally {
+    // Sandboxes are single use, destroy it along with its workspace
+    if (sandbox) {
+      await releaseSandbox(sandbox);
+    }
+  }
+}
+
+/**
+ * Claim a sandbox and set up its workspace for an execution
+ * @param {Object} config - Language definition
+ * @param {Object} limits - Execution limits
+ * @param {Array<Object>} files - Project files
+ * @param {string} input - Standard input of the first run
+ * @param {Object} options - Execution options with collectArtifacts
+ * @returns {Promise<Object>} - Claimed sandbox with the files in its workspace
+ */
+async function prepareSandbox(config, limits, files, input, options) {
+  // Claim a running container, its workspace is mounted as the working directory
+  const sandbox = await claimSandbox(config);
+  
+  try {
+    // Pooled containers are created with the language's memory limit
+    if (limits.memoryMb !== getExecutionLimits(config).memoryMb) {
+      const memoryBytes = limits.memoryMb * 1024 * 1024;
+      await sandbox.container.update({ Memory: memoryBytes, MemorySwap: memoryBytes });
+    }
+    
+    console.log(`Writing ${files.length} file(s) to sandbox ${sandbox.id}`);
+    await writeSourceFiles(sandbox.dir, files);
+    
+    // Write input to file, the run command reads stdin from it
+    await fs.writeFile(path.join(sandbox.dir, STDIN_FILENAME), input || '');
+    if (options.collectArtifacts) {
+      await createArtifactsDir(sandbox.dir);
+    }
+    await shareWorkspace(sandbox.dir);
+    
+    return sandbox;
+  } catch (error) {
+    await releaseSandbox(sandbox);
+    throw error;
+  }
+}
+
+/**
+ * Run the compile phase of an execution
+ * @param {Object} sandbox - Claimed sandbox
+ * @param {string} command - Compile command
+ * @param {Object} limits - Execution limits
+ * @param {Object} options - executionId and signal
+ * @returns {Promise<Object>} - The compile phase
+ */
+function compileInSandbox(sandbox, command, limits, options) {
+  return runPhase(sandbox, command, {
+    executionId: options.executionId,
+    timeout: limits.compileTimeoutMs,
+    cpuTimeLimit: Math.ceil(limits.compileTimeoutMs / 1000),
+    maxOutputBytes: limits.maxOutputBytes,
+    signal: options.signal
+  });
+}
+
+/**
+ * Run one phase (compile or run) of an execution inside its sandbox container
+ * @param {Object} sandbox - Claimed sandbox
+ * @param {string} command - Shell command to run
+ * @param {Object} options - Phase options
+ * @param {string} options.executionId - Execution ID, used for logging
+ * @param {number} options.timeout - Wall-clock limit in ms
+ * @param {number} options.cpuTimeLimit - CPU-time limit in seconds
+ * @param {number} options.maxOutputBytes - Output size limit, the processes are killed once exceeded
+ * @param {string} options.stdinFile - File in the working directory to use as stdin
+ * @param {Readable} options.stdin - Stream attached to the command's stdin instead of stdinFile
+ * @param {Object} options.env - Environment variables of the command, added to the container's
+ * @param {Function} options.onOutput - Called with { stream, data } for each output chunk
+ * @param {AbortSignal} options.signal - Kills the processes when aborted
+ * @param {boolean} options.collectMetrics - Measure CPU time and peak memory from the container stats
+ * @returns {Promise<Object>} - Exit code, output, timing, resource usage and how the phase stopped
+ */
+async function runPhase(sandbox, command, options) {
+  const phaseStartedAt = Date.now();
+  const { container } = sandbox;
+  
+  const interactive = Boolean(options.stdin);
+  const stdinRedirect = interactive ? '' : ` < ${options.stdinFile || '/dev/null'}`;
+  const cmd = ['sh', '-c', `ulimit -t ${options.cpuTimeLimit}; ${command}${stdinRedirect}`];
+  console.log(`Running in sandbox ${sandbox.id}: ${JSON.stringify(cmd)}`);
+  
+  // CPU usage is cumulative for the container, so measure it relative to the start
+  const statsBefore = options.collectMetrics ? await readContainerStats(container) : null;
+  const memorySampler = options.collectMetrics ? await sampleMemoryUsage(container) : null;
+  
+  const exec = await container.exec({
+    Cmd: cmd,
+    WorkingDir: WORK_DIR,
+    Env: Object.entries(options.env || {}).map(([name, value]) => `${name}=${value}`),
+    AttachStdin: interactive,
+    AttachStdout: true,
+    AttachStderr: true
+  });
+  
+  // Stop the phase once the wall-clock deadline passes, the output limit is
+  // reached or the execution is cancelled, which also ends the exec
+  let killing = null;
+  const killPhase = () => {
+    killing = killing || killPhaseProcesses(sandbox);
+  };
+  
+  // Split Docker's multiplexed stream into separate stdout and stderr
+  const collector = createOutputCollector(options.onOutput, {
+    maxBytes: options.maxOutputBytes,
+    onLimitExceeded: () => {
+      console.log(`Execution ${options.executionId} exceeded ${options.maxOutputBytes} bytes of output, killing it`);
+      killPhase();
+    }
+  });
+  const outputStream = await exec.start({ hijack: true, stdin: interactive });
+  const outputEnded = new Promise(resolve => {
+    outputStream.on('end', resolve);
+    outputStream.on('close', resolve);
+    outputStream.on('error', resolve);
+  });
+  docker.modem.demuxStream(
+    outputStream,
+    createOutputWriter('stdout', collector),
+    createOutputWriter('stderr', collector)
+  );
+  
+  // Forward live input, ending it closes the program's stdin
+  if (interactive) {
+    options.stdin.pipe(outputStream);
+  }
+  
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    console.log(`Execution ${options.executionId} exceeded ${options.timeout}ms, killing it`);
+    killPhase();
+  }, options.timeout);
+  
+  let cancelled = false;
+  const onAbort = () => {
+    cancelled = true;
+    console.log(`Execution ${options.executionId} cancelled, killing it`);
+    killPhase();
+  };
+  if (options.signal) {
+    options.signal.addEventListener('abort', onAbort, { once: true });
+  }
+  
+  // Wait for the command to finish, and for a kill so it can't hit the next phase
+  try {
+    await outputEnded;
+    await killing;
+  } finally {
+    clearTimeout(timer);
+    if (options.signal) {
+      options.signal.removeEventListener('abort', onAbort);
+    }
+    if (interactive) {
+      options.stdin.unpipe(outputStream);
+    }
+  }
+  
+  const durationMs = Date.now() - phaseStartedAt;
+  const { ExitCode } = await exec.inspect();
+  // A killed container leaves no exit code
+  const exitCode = ExitCode ?? SIGKILL_EXIT_CODE;
+  const oomKilled = exitCode !== 0 && !timedOut && !cancelled && await wasOomKilled(sandbox);
+  
+  let cpuTimeMs = null;
+  let peakMemoryBytes = null;
+  if (options.collectMetrics) {
+    const sampled = memorySampler.stop();
+    const statsAfter = await readContainerStats(container);
+    const cpuBefore = getCpuUsage(statsBefore);
+    // A killed container has no stats left, fall back to the last sample
+    const cpuAfter = getCpuUsage(statsAfter) ?? sampled.cpuUsage;
+    
+    if (cpuBefore !== null && cpuAfter !== null) {
+      cpuTimeMs = Math.round((cpuAfter - cpuBefore) / 1e6);
+    }
+    peakMemoryBytes = sampled.peakMemoryBytes;
   }
+  
+  return {
+    exitCode,
+    timedOut,
+    cancelled,
+    oomKilled,
+    durationMs,
+    cpuTimeMs,
+    peakMemoryBytes,
+    ...collector.getOutput()
+  };
 }
 
 /**
- * Pull a Docker image
- * @param {string} image - The image to pull
+ * Kill every process of a sandbox except the container's init process
+ * kill -1 reaches all processes of the sandbox user, including ones the program
+ * left in the background, so the container can run the next input. If that
+ * fails, e.g. because a fork bomb used up the process limit, the container is
+ * killed and marked so the execution continues in a fresh one.
+ * @param {Object} sandbox - Claimed sandbox
  * @returns {Promise<void>}
  */
-async function pullImage(image) {
-  return new Promise((resolve, reject) => {
-    docker.pull(image, (err, stream) => {
-      if (err) {
-        return reject(err);
-      }
+async function killPhaseProcesses(sandbox) {
+  try {
+    const exec = await sandbox.container.exec({
+      Cmd: ['sh', '-c', 'kill -9 -1'],
+      AttachStdout: true,
+      AttachStderr: true
+    });
+    const stream = await exec.start({ hijack: true, stdin: false });
+    stream.resume();
+    await new Promise(resolve => {
+      stream.on('end', resolve);
+      stream.on('close', resolve);
+      stream.on('error', resolve);
+    });
+    return;
+  } catch (error) {
+    console.warn(`Could not stop the processes in sandbox ${sandbox.id}, killing its container:`, error.message);
+  }
+  
+  sandbox.killed = true;
+  try {
+    await sandbox.container.kill();
+  } catch (killError) {
+    console.error('Error killing container:', killError);
+  }
+}
+
+/**
+ * Determine whether the OOM killer killed a process since the last failed phase
+ * The container's cgroup counts OOM kills; the count is compared to the one read
+ * after the previous failed phase of the sandbox. If the container died with the
+ * program, its OOMKilled state is used instead.
+ * @param {Object} sandbox - Sandbox the phase ran in
+ * @returns {Promise<boolean>} - Whether a process was OOM killed
+ */
+async function wasOomKilled(sandbox) {
+  const count = await readOomKillCount(sandbox.container);
+  
+  if (count === null) {
+    try {
+      const info = await sandbox.container.inspect();
+      return Boolean(info.State.OOMKilled);
+    } catch (error) {
+      return false;
+    }
+  }
+  
+  const previous = sandbox.oomKills || 0;
+  sandbox.oomKills = count;
+  return count > previous;
+}
+
+/**
+ * Read the OOM kill counter of a running container's memory cgroup
+ * @param {Object} container - Dockerode container
+ * @returns {Promise<number|null>} - OOM kills so far, null if the container isn't running or the counter is unavailable
+ */
+async function readOomKillCount(container) {
+  try {
+    // cgroup v2 has memory.events, v1 reports the counter in memory.oom_control
+    const exec = await container.exec({
+      Cmd: ['sh', '-c', 'cat /sys/fs/cgroup/memory.events 2>/dev/null || cat /sys/fs/cgroup/memory/memory.oom_control'],
+      AttachStdout: true,
+      AttachStderr: true,
+      Tty: true
+    });
+    const stream = await exec.start({ hijack: true, stdin: false });
+    
+    let output = '';
+    stream.setEncoding('utf8');
+    for await (const chunk of stream) {
+      output += chunk;
+    }
+    
+    const match = output.match(/oom_kill (\d+)/);
+    return match ? parseInt(match[1], 10) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Read a single stats sample of a container
+ * @param {Object} container - Dockerode container
+ * @returns {Promise<Object|null>} - Docker stats, or null if the container is gone
+ */
+async function readContainerStats(container) {
+  try {
+    return await container.stats({ stream: false, 'one-shot': true });
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Sample the memory usage of a container from its stats stream (about once per second)
+ * Very short runs may end before a sample shows their usage
+ * @param {Object} container - Dockerode container
+ * @returns {Promise<Object>} - Sampler whose stop() returns peakMemoryBytes and the last cpuUsage
+ */
+async function sampleMemoryUsage(container) {
+  let peakMemoryBytes = null;
+  let cpuUsage = null;
+  let stream = null;
+  
+  try {
+    stream = await container.stats({ stream: true });
+    
+    let buffered = '';
+    stream.setEncoding('utf8');
+    stream.on('data', (chunk) => {
+      // One JSON document per line
+      buffered += chunk;
+      const lines = buffered.split('\n');
+      buffered = lines.pop();
       
-      docker.modem.followProgress(stream, (err, output) => {
-        if (err) {
-          return reject(err);
+      for (const line of lines.filter(Boolean)) {
+        try {
+          const stats = JSON.parse(line);
+          const memory = getMemoryUsage(stats);
+          if (memory !== null && memory > (peakMemoryBytes || 0)) {
+            peakMemoryBytes = memory;
+          }
+          cpuUsage = getCpuUsage(stats) ?? cpuUsage;
+        } catch (parseError) {
+          // Ignore incomplete samples
         }
-        resolve(output);
-      });
+      }
     });
+    stream.on('error', () => {});
+  } catch (error) {
+    console.error('Error reading container stats:', error.message);
+  }
+  
+  return {
+    stop() {
+      if (stream) {
+        stream.destroy();
+      }
+      return { peakMemoryBytes, cpuUsage };
+    }
+  };
+}
+
+/**
+ * Get the memory used by a container, without page cache like `docker stats`
+ * @param {Object} stats - Docker stats
+ * @returns {number|null} - Bytes, or null if unknown
+ */
+function getMemoryUsage(stats) {
+  const memory = stats && stats.memory_stats;
+  if (!memory || !memory.usage) {
+    return null;
+  }
+  
+  // cgroup v2 reports inactive_file, v1 total_inactive_file
+  const details = memory.stats || {};
+  const cache = details.inactive_file ?? details.total_inactive_file ?? 0;
+  return memory.usage - cache;
+}
+
+/**
+ * Get the cumulative CPU time of a container
+ * @param {Object} stats - Docker stats
+ * @returns {number|null} - Nanoseconds, or null if unknown
+ */
+function getCpuUsage(stats) {
+  const usage = stats && stats.cpu_stats && stats.cpu_stats.cpu_usage;
+  return usage && usage.total_usage !== undefined ? usage.total_usage : null;
+}
+
+/**
+ * Create a writable stream that records demultiplexed container output
+ * @param {string} streamName - Either stdout or stderr
+ * @param {Object} collector - Output collector of the execution
+ * @returns {Writable} - Stream to pass to demuxStream
+ */
+function createOutputWriter(streamName, collector) {
+  return new Writable({
+    write(chunk, encoding, callback) {
+      collector.write(streamName, chunk);
+      callback();
+    }
   });
 }
 
+/**
+ * Check whether the Docker daemon is reachable
+ * @returns {Promise<Object>} - reachable, and the Docker version or the connection error
+ */
+export async function checkHealth() {
+  try {
+    const version = await docker.version();
+    return { reachable: true, version: version.Version };
+  } catch (error) {
+    return { reachable: false, error: error.message };
+  }
+}
+
 /**
  * Run a command in a Docker container
  * @param {string} containerId - The container ID
@@ -238,8 +634,9 @@ export async function runCommandInContainer(containerId, command) {
     return new Promise((resolve, reject) => {
       let output = '';
       
+      stream.setEncoding('utf8');
       stream.on('data', (chunk) => {
-        output += chunk.toString();
+        output += chunk;
       });
       
       stream.on('end', () => {
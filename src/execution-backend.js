@@ -0,0 +1,55 @@
+/**
+ * Execution backend selection
+ * The backend is chosen at startup with EXECUTION_BACKEND. Every backend module
+ * implements the same interface:
+ * - executeCode(code, language, input, options): Promise of the execution result
+ * - checkHealth(): Promise of { reachable, ... } describing whether the backend can run code
+ */
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+// Backend modules by name, only the selected one is loaded
+const EXECUTION_BACKENDS = {
+  docker: './docker-service.js',
+  local: './local-sandbox-service.js',
+  mock: './mock-docker-service.js'
+};
+
+const EXECUTION_BACKEND = (process.env.EXECUTION_BACKEND || 'mock').toLowerCase();
+
+if (!EXECUTION_BACKENDS[EXECUTION_BACKEND]) {
+  throw new Error(`Unknown EXECUTION_BACKEND "${EXECUTION_BACKEND}", expected one of: ${Object.keys(EXECUTION_BACKENDS).join(', ')}`);
+}
+
+const backend = await import(EXECUTION_BACKENDS[EXECUTION_BACKEND]);
+console.log(`Using the ${EXECUTION_BACKEND} execution backend`);
+
+/**
+ * Execute code with the configured backend
+ * @param {string} code - The code to execute
+ * @param {string} language - The programming language
+ * @param {string} input - Standard input for the program
+ * @param {Object} options - Execution options, see the backends
+ * @returns {Promise<Object>} - Execution result
+ */
+export function executeCode(code, language, input, options) {
+  return backend.executeCode(code, language, input, options);
+}
+
+/**
+ * Get the name of the configured execution backend
+ * @returns {string} - docker, local or mock
+ */
+export function getExecutionBackendName() {
+  return EXECUTION_BACKEND;
+}
+
+/**
+ * Check whether the configured execution backend is reachable
+ * @returns {Promise<Object>} - Backend name, reachable and backend specific details
+ */
+export async function checkExecutionBackend() {
+  return { name: EXECUTION_BACKEND, ...(await backend.checkHealth()) };
+}
@@ -0,0 +1,130 @@
+/**
+ * Control of unfinished executions
+ * Tracks an AbortController per execution so it can be cancelled by ID, whether
+ * it is still queued or already running, and the stdin stream of interactive
+ * executions so clients can write to the running program. Executions of signed
+ * in users can only be controlled by them, anonymous ones by anyone with the
+ * execution ID.
+ */
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+// Total interactive input accepted per execution
+const MAX_STDIN_BYTES = parseInt(process.env.MAX_STDIN_BYTES, 10) || 1024 * 1024;
+
+// Unfinished executions by execution ID
+const executions = new Map();
+
+/**
+ * Start tracking an execution
+ * @param {string} executionId - Execution ID
+ * @param {Object} options - Tracking options
+ * @param {Writable} options.stdin - Stdin stream of an interactive execution
+ * @param {string} options.userId - ID of the signed in user owning the execution, null for anonymous ones
+ * @returns {AbortSignal} - Signal aborted when the execution is cancelled
+ */
+export function trackExecution(executionId, options = {}) {
+  const controller = new AbortController();
+  executions.set(executionId, {
+    controller,
+    stdin: options.stdin || null,
+    stdinBytes: 0,
+    stdinFull: false,
+    userId: options.userId || null
+  });
+  return controller.signal;
+}
+
+/**
+ * Get a tracked execution if the user may control it
+ * @param {string} executionId - Execution ID
+ * @param {string} userId - ID of the signed in user asking, null for anonymous requests
+ * @returns {Object|null} - The execution, or null if unknown, finished or owned by another user
+ */
+function getOwnExecution(executionId, userId) {
+  const execution = executions.get(executionId);
+
+  if (!execution || (execution.userId && execution.userId !== userId)) {
+    return null;
+  }
+
+  return execution;
+}
+
+/**
+ * Stop tracking a finished execution
+ * @param {string} executionId - Execution ID
+ */
+export function untrackExecution(executionId) {
+  const execution = executions.get(executionId);
+
+  if (execution && execution.stdin) {
+    execution.stdin.end();
+  }
+
+  executions.delete(executionId);
+}
+
+/**
+ * Cancel an execution
+ * @param {string} executionId - Execution ID
+ * @param {string} userId - ID of the signed in user asking, null for anonymous requests
+ * @returns {boolean} - False if the execution is unknown, already finished or owned by another user
+ */
+export function cancelExecution(executionId, userId) {
+  const execution = getOwnExecution(executionId, userId);
+
+  if (!execution) {
+    return false;
+  }
+
+  console.log(`Cancelling execution ${executionId}`);
+  execution.controller.abort();
+  untrackExecution(executionId);
+  return true;
+}
+
+/**
+ * Write to the stdin of an interactive execution
+ * Input beyond MAX_STDIN_BYTES in total is rejected, and so is input sent while
+ * the stream's buffer is full because the program doesn't read it yet.
+ * @param {string} executionId - Execution ID
+ * @param {string} data - Input text (optional)
+ * @param {boolean} eof - Close stdin after writing
+ * @param {string} userId - ID of the signed in user writing, null for anonymous requests
+ * @returns {string|null} - Why the input was rejected, null if it was written
+ */
+export function writeExecutionStdin(executionId, data, eof = false, userId = null) {
+  const execution = getOwnExecution(executionId, userId);
+
+  if (!execution || !execution.stdin || execution.stdin.writableEnded) {
+    return 'Execution is not accepting input';
+  }
+
+  if (data) {
+    const bytes = Buffer.byteLength(data);
+    if (execution.stdinBytes + bytes > MAX_STDIN_BYTES) {
+      return `Input exceeds the limit of ${MAX_STDIN_BYTES} bytes`;
+    }
+    if (execution.stdinFull) {
+      return 'Input is not being read yet, try again later';
+    }
+
+    execution.stdinBytes += bytes;
+    if (!execution.stdin.write(data)) {
+      // Accept more once the program has read the buffered input
+      execution.stdinFull = true;
+      execution.stdin.once('drain', () => {
+        execution.stdinFull = false;
+      });
+    }
+  }
+
+  if (eof) {
+    execution.stdin.end();
+  }
+
+  return null;
+}
@@ -0,0 +1,110 @@
+/**
+ * Socket.IO event channels for code executions
+ * Keeps a short backlog of emitted events so clients that join an
+ * execution room after output started still receive everything. Backlogs are
+ * capped at MAX_BACKLOG_EVENTS and dropped a minute after the result, or after
+ * BACKLOG_MAX_AGE_MS for executions that never report one.
+ */
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+// How long to keep the backlog of a finished execution for late joiners
+const BACKLOG_RETENTION_MS = 60 * 1000;
+
+// How long to keep the backlog of an execution without a result
+const BACKLOG_MAX_AGE_MS = 60 * 60 * 1000;
+
+// Events kept per execution, later output is only sent to sockets already in the room
+const MAX_BACKLOG_EVENTS = parseInt(process.env.MAX_BACKLOG_EVENTS, 10) > 0
+  ? parseInt(process.env.MAX_BACKLOG_EVENTS, 10)
+  : 1000;
+
+// How often expired backlogs are dropped
+const CLEANUP_INTERVAL_MS = 60 * 1000;
+
+// Store emitted events and their expiry time per execution
+const executionBacklogs = new Map();
+
+setInterval(() => {
+  const now = Date.now();
+
+  for (const [executionId, backlog] of executionBacklogs) {
+    if (backlog.expiresAt <= now) {
+      executionBacklogs.delete(executionId);
+    }
+  }
+}, CLEANUP_INTERVAL_MS).unref();
+
+/**
+ * Create an event channel for an execution
+ * @param {Object} io - Socket.io server
+ * @param {string} executionId - Execution ID (also the room name)
+ * @returns {Object} - Channel with emitQueued, emitStarted, emitOutput and emitResult functions
+ */
+export function createExecutionChannel(io, executionId) {
+  const backlog = { events: [], expiresAt: Date.now() + BACKLOG_MAX_AGE_MS };
+  executionBacklogs.set(executionId, backlog);
+
+  const emit = (event, payload) => {
+    // The result is always kept, late joiners get the full output from it
+    if (backlog.events.length < MAX_BACKLOG_EVENTS || event === 'execution_result') {
+      backlog.events.push({ event, payload });
+    }
+    io.to(executionId).emit(event, payload);
+  };
+
+  return {
+    /**
+     * Emit the position of a waiting execution in the queue
+     * @param {number} position - 1-based queue position
+     */
+    emitQueued(position) {
+      emit('execution_queued', { executionId, position });
+    },
+
+    /**
+     * Emit that a queued execution left the queue and started
+     */
+    emitStarted() {
+      emit('execution_started', { executionId });
+    },
+
+    /**
+     * Emit a chunk of program output
+     * @param {Object} chunk - Output chunk
+     * @param {string} chunk.stream - Either stdout or stderr
+     * @param {string} chunk.data - Output text
+     */
+    emitOutput({ stream, data }) {
+      emit('execution_output', { executionId, stream, data });
+    },
+
+    /**
+     * Emit the final execution result and shorten the backlog's expiry
+     * @param {Object} result - Execution result
+     */
+    emitResult(result) {
+      emit('execution_result', result);
+      backlog.expiresAt = Date.now() + BACKLOG_RETENTION_MS;
+    }
+  };
+}
+
+/**
+ * Replay the events already emitted for an execution to a socket that just joined its room
+ * @param {Object} socket - Socket.io socket
+ * @param {string} executionId - Execution ID
+ */
+export function replayExecutionEvents(socket, executionId) {
+  const backlog = executionBacklogs.get(executionId);
+
+  if (!backlog || backlog.expiresAt <= Date.now()) {
+    return;
+  }
+
+  for (const { event, payload } of backlog.events) {
+    socket.emit(event, payload);
+  }
+}
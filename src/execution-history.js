@@ -0,0 +1,123 @@
+/**
+ * Execution history
+ * Stores a record of every finished execution and test run through db-service,
+ * where a TTL index expires records older than the retention period
+ */
+import crypto from 'crypto';
+import { saveExecution } from './db-service.js';
+
+/**
+ * Store the record of a finished execution
+ * Errors are logged rather than thrown, a failing database must not fail executions
+ * @param {Object} execution - The request that started the execution
+ * @param {string} execution.executionId - Execution ID
+ * @param {string} execution.userId - ID of the signed in user, null for anonymous executions
+ * @param {string} execution.language - Programming language
+ * @param {string} execution.code - Source code of single-file executions
+ * @param {Array<Object>} execution.files - Project files of multi-file executions
+ * @param {string} execution.entryPoint - Entry point of multi-file executions
+ * @param {string} execution.input - Standard input given with the request
+ * @param {boolean} execution.interactive - Whether stdin was live
+ * @param {Object} result - Execution result
+ * @returns {Promise<void>}
+ */
+export async function recordExecution(execution, result) {
+  try {
+    await saveExecution({
+      executionId: execution.executionId,
+      type: 'execution',
+      userId: execution.userId || null,
+      language: execution.language,
+      codeHash: hashSource(execution.code, execution.files),
+      entryPoint: execution.entryPoint || null,
+      input: execution.input || '',
+      interactive: Boolean(execution.interactive),
+      status: result.status,
+      result: {
+        stdout: result.stdout,
+        stderr: result.stderr,
+        output: result.output,
+        exitCode: result.exitCode,
+        outputLimitExceeded: Boolean(result.outputLimitExceeded),
+        compile: result.compile || null
+      },
+      metrics: result.metrics || null,
+      startedAt: result.startedAt ? new Date(result.startedAt) : null,
+      finishedAt: result.finishedAt ? new Date(result.finishedAt) : null,
+      durationMs: result.durationMs ?? null
+    });
+  } catch (error) {
+    console.error(`Error recording execution ${execution.executionId}:`, error.message);
+  }
+}
+
+/**
+ * Store the record of a finished test run
+ * Cases are stored without their input and output, the verdict is the record's status.
+ * Errors are logged rather than thrown, a failing database must not fail test runs
+ * @param {Object} execution - The request that started the test run
+ * @param {string} execution.executionId - Execution ID
+ * @param {string} execution.userId - ID of the signed in user, null for anonymous test runs
+ * @param {string} execution.language - Programming language
+ * @param {string} execution.code - Source code of single-file programs
+ * @param {Array<Object>} execution.files - Project files of multi-file programs
+ * @param {string} execution.entryPoint - Entry point of multi-file programs
+ * @param {Date} execution.startedAt - When the request was received
+ * @param {Object} testRun - Test run result from runTestCases
+ * @returns {Promise<void>}
+ */
+export async function recordTestRun(execution, testRun) {
+  try {
+    await saveExecution({
+      executionId: execution.executionId,
+      type: 'tests',
+      userId: execution.userId || null,
+      language: execution.language,
+      codeHash: hashSource(execution.code, execution.files),
+      entryPoint: execution.entryPoint || null,
+      input: '',
+      interactive: false,
+      status: testRun.verdict,
+      result: {
+        passed: testRun.passed,
+        total: testRun.total,
+        comparison: testRun.comparison,
+        compile: testRun.compile || null,
+        cases: testRun.cases.map(testCase => ({
+          index: testCase.index,
+          verdict: testCase.verdict,
+          exitCode: testCase.exitCode,
+          durationMs: testCase.durationMs
+        }))
+      },
+      metrics: null,
+      startedAt: execution.startedAt,
+      finishedAt: new Date(),
+      durationMs: testRun.durationMs
+    });
+  } catch (error) {
+    console.error(`Error recording test run ${execution.executionId}:`, error.message);
+  }
+}
+
+/**
+ * Hash the source of an execution, identical projects get identical hashes
+ * @param {string} code - Source code of single-file executions
+ * @param {Array<Object>} files - Project files of multi-file executions, content as string or Buffer
+ * @returns {string} - SHA-256 hex digest
+ */
+function hashSource(code, files) {
+  const hash = crypto.createHash('sha256');
+
+  if (files && files.length > 0) {
+    const sorted = [...files].sort((a, b) => a.path.localeCompare(b.path));
+    // Encoded files are Buffers, hashed by their bytes
+    hash.update(JSON.stringify(sorted.map(file => Buffer.isBuffer(file.content)
+      ? [file.path, file.content.toString('base64'), 'base64']
+      : [file.path, file.content])));
+  } else {
+    hash.update(code || '');
+  }
+
+  return hash.digest('hex');
+}
@@ -0,0 +1,48 @@
+/**
+ * Execution limits
+ * Global defaults from environment variables, overridable per language
+ */
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+// Execution limits from environment variables
+const EXECUTION_TIMEOUT = parseInt(process.env.EXECUTION_TIMEOUT, 10) || 10000; // Wall-clock limit in ms
+const COMPILE_TIMEOUT = parseInt(process.env.COMPILE_TIMEOUT, 10) || 30000; // Wall-clock limit of the compile phase in ms
+const MEMORY_LIMIT = parseInt(process.env.MEMORY_LIMIT, 10) || 512; // Memory limit in MB
+const CPU_LIMIT = parseInt(process.env.CPU_LIMIT, 10) || 50; // Percentage of one CPU
+// CPU-time limit in seconds, defaults to the wall-clock limit of the language
+const CPU_TIME_LIMIT = parseInt(process.env.CPU_TIME_LIMIT, 10) || null;
+const MAX_OUTPUT_BYTES = parseInt(process.env.MAX_OUTPUT_BYTES, 10) || 1024 * 1024; // stdout + stderr size limit
+
+/**
+ * Get the limits of a language, falling back to the configured defaults
+ * Overrides for a single execution can only lower the limits
+ * @param {Object} language - Language definition
+ * @param {Object} overrides - timeoutMs, compileTimeoutMs and memoryMb of one execution (optional)
+ * @returns {Object} - timeoutMs, compileTimeoutMs, cpuTimeLimit, memoryMb, cpuPercent and maxOutputBytes
+ */
+export function getExecutionLimits(language, overrides = {}) {
+  const limits = language.limits || {};
+  const timeoutMs = lowerLimit(limits.timeoutMs || EXECUTION_TIMEOUT, overrides.timeoutMs);
+
+  return {
+    timeoutMs,
+    compileTimeoutMs: lowerLimit(limits.compileTimeoutMs || COMPILE_TIMEOUT, overrides.compileTimeoutMs),
+    cpuTimeLimit: CPU_TIME_LIMIT || Math.ceil(timeoutMs / 1000),
+    memoryMb: lowerLimit(limits.memoryMb || MEMORY_LIMIT, overrides.memoryMb),
+    cpuPercent: limits.cpuPercent || CPU_LIMIT,
+    maxOutputBytes: limits.maxOutputBytes || MAX_OUTPUT_BYTES
+  };
+}
+
+/**
+ * Apply an override to a limit if it is lower
+ * @param {number} limit - Configured limit
+ * @param {number} override - Requested limit, ignored unless a positive number
+ * @returns {number} - The lower of both
+ */
+function lowerLimit(limit, override) {
+  return typeof override === 'number' && override > 0 ? Math.min(limit, override) : limit;
+}
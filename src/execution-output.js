@@ -0,0 +1,100 @@
+/**
+ * Output collection shared by the execution backends
+ * Keeps stdout and stderr separate while preserving the order in which chunks arrived
+ */
+import { StringDecoder } from 'string_decoder';
+
+/**
+ * Create a collector for the output of one execution
+ * Output beyond maxBytes (stdout and stderr combined) is dropped, both from
+ * the collected output and from what is forwarded to onOutput
+ * @param {Function} onOutput - Optional callback receiving { stream, data } for each chunk
+ * @param {Object} options - Collector options
+ * @param {number} options.maxBytes - Output size limit in bytes (unlimited if omitted)
+ * @param {Function} options.onLimitExceeded - Called once when output is dropped, e.g. to kill the program
+ * @returns {Object} - Collector with write and getOutput functions
+ */
+export function createOutputCollector(onOutput, options = {}) {
+  const startedAt = Date.now();
+  const events = [];
+  const chunks = { stdout: [], stderr: [] };
+  // A multi-byte character can be split across chunks, each stream keeps its incomplete bytes
+  const decoders = { stdout: new StringDecoder('utf8'), stderr: new StringDecoder('utf8') };
+  let bytes = 0;
+  let limitExceeded = false;
+
+  return {
+    /**
+     * Record a chunk of output
+     * @param {string} stream - Either stdout or stderr
+     * @param {string|Buffer} data - Output text, or raw output decoded as UTF-8
+     */
+    write(stream, data) {
+      if (Buffer.isBuffer(data)) {
+        data = decoders[stream].write(data);
+      }
+
+      if (!data || limitExceeded) {
+        return;
+      }
+
+      const size = Buffer.byteLength(data);
+      if (options.maxBytes && bytes + size > options.maxBytes) {
+        limitExceeded = true;
+        data = truncateToBytes(data, options.maxBytes - bytes);
+        if (options.onLimitExceeded) {
+          options.onLimitExceeded();
+        }
+        if (!data) {
+          return;
+        }
+      }
+      bytes += Buffer.byteLength(data);
+
+      chunks[stream].push(data);
+      events.push({ stream, data, time: Date.now() - startedAt });
+
+      if (onOutput) {
+        try {
+          onOutput({ stream, data });
+        } catch (error) {
+          console.error('Error forwarding execution output:', error);
+        }
+      }
+    },
+
+    /**
+     * Get the collected output once the program has exited
+     * Bytes of a character the output ended in the middle of become a replacement character.
+     * @returns {Object} - stdout, stderr, interleaved output, ordered events and whether output was truncated
+     */
+    getOutput() {
+      for (const stream of Object.keys(decoders)) {
+        this.write(stream, decoders[stream].end());
+      }
+
+      return {
+        stdout: chunks.stdout.join(''),
+        stderr: chunks.stderr.join(''),
+        output: events.map(event => event.data).join(''),
+        events,
+        outputLimitExceeded: limitExceeded
+      };
+    }
+  };
+}
+
+/**
+ * Cut text to at most a number of UTF-8 bytes without splitting a character
+ * @param {string} text - Text to cut
+ * @param {number} maxBytes - Maximum size in bytes
+ * @returns {string} - Truncated text
+ */
+function truncateToBytes(text, maxBytes) {
+  if (maxBytes <= 0) {
+    return '';
+  }
+
+  // A character cut in half decodes to a trailing replacement character
+  return Buffer.from(text).subarray(0, maxBytes).toString().replace(/\uFFFD$/, '');
+}
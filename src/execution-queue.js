@@ -0,0 +1,194 @@
+/**
+ * Execution queue
+ * Bounds how many executions run at once, globally and per user. Executions
+ * over the limits wait in priority lanes so challenge submissions are started
+ * before playground runs, and new executions are rejected once the queue is full.
+ */
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+// Concurrency and queue limits from environment variables
+const MAX_CONCURRENT_EXECUTIONS = parseInt(process.env.MAX_CONCURRENT_EXECUTIONS, 10) || 4;
+const MAX_CONCURRENT_PER_USER = parseInt(process.env.MAX_CONCURRENT_PER_USER, 10) || 1;
+const MAX_QUEUE_SIZE = parseInt(process.env.MAX_QUEUE_SIZE, 10) || 50;
+const MAX_QUEUED_PER_USER = parseInt(process.env.MAX_QUEUED_PER_USER, 10) || 5;
+
+// Lanes in priority order
+export const LANES = ['submission', 'playground'];
+
+// Waiting jobs by lane
+const lanes = new Map(LANES.map(lane => [lane, []]));
+
+// Running executions by user
+const runningByUser = new Map();
+let running = 0;
+
+// Counters for the admin API
+const stats = { accepted: 0, rejected: 0, completed: 0 };
+
+/**
+ * Submit an execution to the queue
+ * The task starts right away if there is capacity, otherwise it waits for its turn
+ * @param {Function} task - Called without arguments when the execution may start, returns a promise
+ * @param {Object} options - Queue options
+ * @param {string} options.userId - Key the per-user limits apply to, e.g. user ID or IP address
+ * @param {string} options.lane - Priority lane, submission or playground (default)
+ * @param {Function} options.onPosition - Called with the 1-based queue position whenever it changes
+ * @param {Function} options.onStart - Called when the task leaves the queue and starts
+ * @param {AbortSignal} options.signal - Removes the task from the queue when aborted while it waits
+ * @returns {Object} - position (0 if started right away) and result, a promise of the task result
+ * @throws {Error} - With code QUEUE_FULL if the queue or the user's share of it is full
+ * The result rejects with code EXECUTION_CANCELLED if the task is cancelled before it starts
+ */
+export function submitExecution(task, options = {}) {
+  const lane = LANES.includes(options.lane) ? options.lane : 'playground';
+  const userId = options.userId || 'anonymous';
+
+  const queued = getWaitingJobs();
+  if (queued.length >= MAX_QUEUE_SIZE ||
+      queued.filter(job => job.userId === userId).length >= MAX_QUEUED_PER_USER) {
+    stats.rejected++;
+    const error = new Error('Execution queue is full, try again later');
+    error.code = 'QUEUE_FULL';
+    throw error;
+  }
+
+  stats.accepted++;
+
+  let job;
+  const result = new Promise((resolve, reject) => {
+    job = {
+      task,
+      userId,
+      lane,
+      position: 0,
+      onPosition: options.onPosition,
+      onStart: options.onStart,
+      resolve,
+      reject
+    };
+  });
+
+  lanes.get(lane).push(job);
+  dispatch();
+
+  // Drop the job if it is cancelled while waiting, a running task handles the signal itself
+  if (options.signal && job.position > 0) {
+    options.signal.addEventListener('abort', () => {
+      const jobs = lanes.get(lane);
+      const index = jobs.indexOf(job);
+      if (index < 0) {
+        return;
+      }
+
+      jobs.splice(index, 1);
+      const error = new Error('Execution was cancelled before it started');
+      error.code = 'EXECUTION_CANCELLED';
+      job.reject(error);
+      dispatch();
+    }, { once: true });
+  }
+
+  return { position: job.position, result };
+}
+
+/**
+ * Get the waiting jobs in the order they will start
+ * @returns {Array<Object>} - Jobs of all lanes, highest priority first
+ */
+function getWaitingJobs() {
+  return LANES.flatMap(lane => lanes.get(lane));
+}
+
+/**
+ * Start waiting jobs while there is capacity, then report the new queue positions
+ * Jobs of users at their concurrency limit are skipped, not blocking the users behind them
+ */
+function dispatch() {
+  for (const lane of LANES) {
+    const jobs = lanes.get(lane);
+
+    for (let i = 0; i < jobs.length && running < MAX_CONCURRENT_EXECUTIONS; i++) {
+      const job = jobs[i];
+      if ((runningByUser.get(job.userId) || 0) >= MAX_CONCURRENT_PER_USER) {
+        continue;
+      }
+
+      jobs.splice(i--, 1);
+      start(job);
+    }
+  }
+
+  getWaitingJobs().forEach((job, index) => {
+    if (job.position !== index + 1) {
+      job.position = index + 1;
+      notify(job.onPosition, job.position);
+    }
+  });
+}
+
+/**
+ * Run a job and free its slot once it settles
+ * @param {Object} job - Queued job
+ */
+function start(job) {
+  running++;
+  runningByUser.set(job.userId, (runningByUser.get(job.userId) || 0) + 1);
+
+  if (job.position > 0) {
+    notify(job.onStart);
+  }
+
+  Promise.resolve()
+    .then(job.task)
+    .then(job.resolve, job.reject)
+    .finally(() => {
+      running--;
+      const userRunning = runningByUser.get(job.userId) - 1;
+      if (userRunning > 0) {
+        runningByUser.set(job.userId, userRunning);
+      } else {
+        runningByUser.delete(job.userId);
+      }
+
+      stats.completed++;
+      dispatch();
+    });
+}
+
+/**
+ * Call a queue listener, keeping listener errors away from the queue
+ * @param {Function} listener - Listener, may be undefined
+ * @param {...*} args - Listener arguments
+ */
+function notify(listener, ...args) {
+  if (!listener) {
+    return;
+  }
+
+  try {
+    listener(...args);
+  } catch (error) {
+    console.error('Error in execution queue listener:', error);
+  }
+}
+
+/**
+ * Get queue statistics
+ * @returns {Object} - Limits, running and waiting executions per lane, and counters
+ */
+export function getQueueStats() {
+  return {
+    running,
+    queued: Object.fromEntries(LANES.map(lane => [lane, lanes.get(lane).length])),
+    limits: {
+      maxConcurrent: MAX_CONCURRENT_EXECUTIONS,
+      maxConcurrentPerUser: MAX_CONCURRENT_PER_USER,
+      maxQueueSize: MAX_QUEUE_SIZE,
+      maxQueuedPerUser: MAX_QUEUED_PER_USER
+    },
+    ...stats
+  };
+}
@@ -0,0 +1,122 @@
+/**
+ * Execution result helpers shared by the execution backends
+ */
+
+// Exit code of a process killed by SIGXCPU (128 + 24) once it exceeds its CPU-time limit
+export const SIGXCPU_EXIT_CODE = 152;
+// Exit code of a process killed by SIGKILL (128 + 9)
+export const SIGKILL_EXIT_CODE = 137;
+
+/**
+ * Create the result of an execution cancelled before its program ran
+ * @param {string} executionId - Execution ID
+ * @param {Date} startedAt - When the execution started
+ * @param {Object} languageOptions - Chosen compiler and interpreter options, null if not resolved yet
+ * @returns {Object} - Execution result with status cancelled
+ */
+export function createCancelledResult(executionId, startedAt, languageOptions = null) {
+  return {
+    executionId,
+    status: 'cancelled',
+    stdout: '',
+    stderr: '',
+    output: '',
+    events: [],
+    exitCode: null,
+    outputLimitExceeded: false,
+    compile: null,
+    languageOptions,
+    artifacts: [],
+    artifactsTruncated: false,
+    metrics: null,
+    ...getTimings(startedAt)
+  };
+}
+
+/**
+ * Get start/finish timestamps and duration of an execution
+ * @param {Date} startedAt - When the execution started
+ * @returns {Object} - startedAt, finishedAt and durationMs
+ */
+export function getTimings(startedAt) {
+  const finishedAt = new Date();
+  return {
+    startedAt: startedAt.toISOString(),
+    finishedAt: finishedAt.toISOString(),
+    durationMs: finishedAt - startedAt
+  };
+}
+
+/**
+ * Determine the status of a finished phase
+ * @param {Object} phase - Compile or run phase of a backend
+ * @param {number} phase.exitCode - Exit code of the command
+ * @param {boolean} phase.timedOut - Whether the wall-clock deadline killed the program
+ * @param {boolean} phase.cancelled - Whether the execution was cancelled
+ * @param {boolean} phase.outputLimitExceeded - Whether the output limit killed the program
+ * @param {boolean} phase.oomKilled - Whether the OOM killer killed a process of the phase
+ * @returns {string} - One of success, error, timeout, memory_exceeded, output_limit_exceeded or cancelled
+ */
+export function getExecutionStatus({ exitCode, timedOut, cancelled, outputLimitExceeded, oomKilled }) {
+  if (cancelled) {
+    return 'cancelled';
+  }
+
+  if (outputLimitExceeded) {
+    return 'output_limit_exceeded';
+  }
+
+  if (timedOut || exitCode === SIGXCPU_EXIT_CODE) {
+    return 'timeout';
+  }
+
+  // Exit code 137 alone doesn't tell the OOM killer from any other SIGKILL, the backends
+  // check the memory cgroup's OOM kill counter
+  if (oomKilled && exitCode !== 0) {
+    return 'memory_exceeded';
+  }
+
+  return exitCode === 0 ? 'success' : 'error';
+}
+
+/**
+ * Create the result fields of a finished run phase
+ * @param {Object} run - Run phase of a backend
+ * @returns {Object} - status, output, exit code, duration and metrics of the run
+ */
+export function createRunResult(run) {
+  return {
+    status: getExecutionStatus(run),
+    stdout: run.stdout,
+    stderr: run.stderr,
+    output: run.output,
+    events: run.events,
+    exitCode: run.exitCode,
+    outputLimitExceeded: run.outputLimitExceeded,
+    durationMs: run.durationMs,
+    metrics: {
+      wallTimeMs: run.durationMs,
+      cpuTimeMs: run.cpuTimeMs,
+      peakMemoryBytes: run.peakMemoryBytes,
+      outputBytes: Buffer.byteLength(run.stdout) + Buffer.byteLength(run.stderr)
+    }
+  };
+}
+
+/**
+ * Summarize a run for the runs of an execution with several inputs
+ * @param {Object} result - Result of one run
+ * @returns {Object} - status, output, exit code, duration and metrics, without the events
+ */
+export function summarizeRun(result) {
+  return {
+    status: result.status,
+    stdout: result.stdout,
+    stderr: result.stderr,
+    output: result.output,
+    exitCode: result.exitCode,
+    outputLimitExceeded: result.outputLimitExceeded,
+    durationMs: result.durationMs,
+    metrics: result.metrics
+  };
+}
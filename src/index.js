@@ -3,18 +3,21 @@ import http from 'http';
 import { Server } from 'socket.io';
 import cors from 'cors';
 import dotenv from 'dotenv';
-import { v4 as uuidv4 } from 'uuid';
 import codeRoutes from './routes/code-routes.js';
 import authRoutes from './routes/auth-routes.js';
 import learningRoutes from './routes/learning-routes.js';
-// Import mock Docker service instead of real Docker service
-// Comment out the real Docker service import
-// import { executeCode } from './docker-service.js';
-import { executeCode } from './mock-docker-service.js';
-// Import mock terminal service instead of real terminal service
-// Comment out the real terminal service import
-// import { setupTerminal } from './terminal-service.js';
-import { setupTerminal } from './mock-terminal-service.js';
+import executionRoutes from './routes/execution-routes.js';
+import languageRoutes from './routes/language-routes.js';
+import adminRoutes from './routes/admin-routes.js';
+import judge0Routes from './routes/judge0-routes.js';
+import pistonRoutes from './routes/piston-routes.js';
+import { replayExecutionEvents } from './execution-events.js';
+import { cancelExecution, writeExecutionStdin } from './execution-control.js';
+import { setupTerminal, checkTerminalBackend } from './terminal-backend.js';
+import { checkExecutionBackend } from './execution-backend.js';
+import { startArtifactCleanup } from './artifacts.js';
+import { connectToDatabase } from './db-service.js';
+import { verifyToken } from './user-service.js';
 
 // Load environment variables
 dotenv.config();
@@ -46,6 +49,9 @@ const io = new Server(server, {
   cors: corsOptions
 });
 
+// Make Socket.io available to route handlers
+app.set('io', io);
+
 // Middleware
 app.use(cors(corsOptions));
 app.use(express.json());
@@ -54,63 +60,78 @@ app.use(express.json());
 app.use('/api', codeRoutes);
 app.use('/api', authRoutes);
 app.use('/api', learningRoutes);
+app.use('/api', executionRoutes);
+app.use('/api', languageRoutes);
+app.use('/api', adminRoutes);
+app.use('/api/judge0', judge0Routes);
+app.use('/api/v2', pistonRoutes);
+
+// Health check endpoint, reports the active backends and whether they are reachable
+app.get('/api/health', async (req, res) => {
+  const [execution, terminal] = await Promise.all([checkExecutionBackend(), checkTerminalBackend()]);
+  const healthy = execution.reachable && terminal.reachable;
 
-// Health check endpoint
-app.get('/api/health', (req, res) => {
-  res.status(200).json({ status: 'ok', message: 'Server is running' });
+  res.status(healthy ? 200 : 503).json({
+    status: healthy ? 'ok' : 'degraded',
+    message: healthy ? 'Server is running' : 'A backend is unreachable',
+    backends: { execution, terminal }
+  });
 });
 
-// Execute code endpoint
-app.post('/api/execute', async (req, res) => {
-  try {
-    const { code, language, input } = req.body;
-    
-    if (!code || !language) {
-      return res.status(400).json({ error: 'Code and language are required' });
-    }
-    
-    const executionId = uuidv4();
-    
-    // Execute code with input and get result immediately
+// Identify the user of a socket from the token in its handshake, sockets without one are anonymous
+io.use(async (socket, next) => {
+  socket.data.user = null;
+  
+  const token = socket.handshake.auth && socket.handshake.auth.token;
+  if (token) {
     try {
-      console.log(`Executing ${language} code with input: ${input ? 'provided' : 'none'}`);
-      console.log('Code snippet:', code.substring(0, 50) + (code.length > 50 ? '...' : ''));
-      
-      // Execute code with user input
-      const result = await executeCode(code, language, input);
-      
-      // Send response with execution ID and result
-      res.status(200).json({ 
-        executionId,
-        message: 'Code execution completed',
-        result: result
-      });
-      
-      // Also emit via WebSocket for clients that are listening
-      io.to(executionId).emit('execution_result', result);
-    } catch (execError) {
-      console.error('Error during code execution:', execError);
-      // Send error response
-      return res.status(500).json({ 
-        error: 'Code execution failed', 
-        message: execError.message,
-        executionId
-      });
+      socket.data.user = await verifyToken(token);
+    } catch (tokenError) {
+      console.warn(`Invalid token on socket ${socket.id}, continuing as anonymous user`);
     }
-  } catch (error) {
-    console.error('Error processing execute request:', error);
-    res.status(500).json({ error: 'Failed to process execute request' });
   }
+  
+  next();
 });
 
 // WebSocket connection
 io.on('connection', (socket) => {
   console.log('Client connected:', socket.id);
+  const userId = socket.data.user ? socket.data.user.id : null;
   
   // Join execution room
   socket.on('join_execution', (executionId) => {
+    // A socket joining again already received the backlog
+    if (socket.rooms.has(executionId)) {
+      return;
+    }
+    
     socket.join(executionId);
     console.log(`Socket ${socket.id} joined execution ${executionId}`);
+    
+    // Send output emitted before the client joined
+    replayExecutionEvents(socket, executionId);
+  });
+  
+  // Cancel a queued or running execution, the result is reported to its room
+  socket.on('cancel_execution', (executionId) => {
+    if (!cancelExecution(executionId, userId)) {
+      socket.emit('execution_error', { executionId, error: 'Execution not found or already finished' });
+    }
+  });
+  
+  // Input for an interactive execution, eof closes the program's stdin
+  socket.on('execution_stdin', (payload) => {
+    const { executionId, data, eof } = payload || {};
+    
+    if (data !== undefined && typeof data !== 'string') {
+      return socket.emit('execution_error', { executionId, error: 'Input data must be a string' });
+    }
+    
+    const inputError = writeExecutionStdin(executionId, data, eof === true, userId);
+    if (inputError) {
+      socket.emit('execution_error', { executionId, error: inputError });
+    }
   });
   
   // Setup terminal connection
@@ -126,6 +147,16 @@ io.on('connection', (socket) => {
 const PORT = process.env.PORT || 3000;
 server.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
+
+  // Create the database indexes, including the one expiring old execution records
+  connectToDatabase().catch(error => {
+    console.error('Error connecting to MongoDB:', error.message);
+  });
+
+  // Prune expired artifacts
+  startArtifactCleanup().catch(error => {
+    console.error('Error cleaning up artifacts:', error.message);
+  });
 });
 
 export default app;
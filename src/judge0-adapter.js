@@ -0,0 +1,340 @@
+/**
+ * Judge0 compatibility
+ * Translates between Judge0 submissions and executions: request validation,
+ * base64 encoding, status codes and field selection. Submissions are kept in
+ * memory for an hour so clients can poll their results by token, at most
+ * MAX_SUBMISSIONS of them.
+ */
+import dotenv from 'dotenv';
+import { getLanguageByJudge0Id } from './language-registry.js';
+import { compareOutput } from './test-runner.js';
+
+// Load environment variables
+dotenv.config();
+
+// Judge0 statuses by ID
+export const JUDGE0_STATUSES = [
+  { id: 1, description: 'In Queue' },
+  { id: 2, description: 'Processing' },
+  { id: 3, description: 'Accepted' },
+  { id: 4, description: 'Wrong Answer' },
+  { id: 5, description: 'Time Limit Exceeded' },
+  { id: 6, description: 'Compilation Error' },
+  { id: 7, description: 'Runtime Error (SIGSEGV)' },
+  { id: 8, description: 'Runtime Error (SIGXFSZ)' },
+  { id: 9, description: 'Runtime Error (SIGFPE)' },
+  { id: 10, description: 'Runtime Error (SIGABRT)' },
+  { id: 11, description: 'Runtime Error (NZEC)' },
+  { id: 12, description: 'Runtime Error (Other)' },
+  { id: 13, description: 'Internal Error' },
+  { id: 14, description: 'Exec Format Error' }
+];
+
+// Runtime error statuses by the signal that killed the program
+const SIGNAL_STATUSES = { 11: 7, 25: 8, 8: 9, 6: 10 };
+
+// Fields returned when the request doesn't ask for specific ones
+const DEFAULT_FIELDS = ['stdout', 'time', 'memory', 'stderr', 'token', 'compile_output', 'message', 'status'];
+
+// Fields that are base64 encoded in requests and responses with base64_encoded=true
+const TEXT_FIELDS = ['source_code', 'stdin', 'expected_output', 'stdout', 'stderr', 'compile_output', 'message'];
+
+// Most submissions in one batch
+export const MAX_BATCH_SIZE = 20;
+
+// How long finished submissions can be fetched
+const SUBMISSION_TTL_MS = 60 * 60 * 1000;
+
+// Most submissions kept, the oldest finished ones are dropped first
+const MAX_SUBMISSIONS = parseInt(process.env.MAX_SUBMISSIONS, 10) > 0
+  ? parseInt(process.env.MAX_SUBMISSIONS, 10)
+  : 1000;
+
+// How often expired submissions are dropped
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+// Submissions by token, in the order they were created
+const submissions = new Map();
+
+setInterval(pruneSubmissions, PRUNE_INTERVAL_MS).unref();
+
+/**
+ * Validate a Judge0 submission request and decode its text fields
+ * @param {Object} body - Submission attributes
+ * @param {boolean} base64Encoded - Whether text fields are base64 encoded
+ * @returns {Object} - language and the decoded sourceCode, stdin and expectedOutput, or errors
+ * in the Judge0 format ({ field: [messages] }) if the request is invalid
+ */
+export function parseSubmissionRequest(body, base64Encoded) {
+  const errors = {};
+  const attributes = body || {};
+
+  const fields = {};
+  for (const field of ['source_code', 'stdin', 'expected_output']) {
+    const value = attributes[field];
+    if (value === undefined || value === null) {
+      fields[field] = '';
+    } else if (typeof value !== 'string') {
+      errors[field] = ['must be a string'];
+    } else {
+      fields[field] = base64Encoded ? Buffer.from(value, 'base64').toString('utf8') : value;
+    }
+  }
+
+  if (!errors.source_code && !fields.source_code) {
+    errors.source_code = ["can't be blank"];
+  }
+
+  const languageId = Number(attributes.language_id);
+  const language = Number.isInteger(languageId) ? getLanguageByJudge0Id(languageId) : null;
+  if (attributes.language_id === undefined || attributes.language_id === null) {
+    errors.language_id = ["can't be blank"];
+  } else if (!language) {
+    errors.language_id = [`language with id ${attributes.language_id} doesn't exist`];
+  }
+
+  if (Object.keys(errors).length > 0) {
+    return { errors };
+  }
+
+  return {
+    languageId,
+    language,
+    sourceCode: fields.source_code,
+    stdin: fields.stdin,
+    expectedOutput: attributes.expected_output === undefined || attributes.expected_output === null
+      ? null
+      : fields.expected_output
+  };
+}
+
+/**
+ * Create and store a queued submission
+ * @param {string} token - Submission token, also the execution ID
+ * @param {Object} request - Parsed submission request
+ * @returns {Object} - Submission in Judge0 format
+ */
+export function createSubmission(token, request) {
+  const submission = {
+    token,
+    language_id: request.languageId,
+    source_code: request.sourceCode,
+    stdin: request.stdin,
+    expected_output: request.expectedOutput,
+    stdout: null,
+    stderr: null,
+    compile_output: null,
+    message: null,
+    exit_code: null,
+    exit_signal: null,
+    status: getStatus(1),
+    created_at: new Date().toISOString(),
+    finished_at: null,
+    time: null,
+    wall_time: null,
+    memory: null
+  };
+
+  submissions.set(token, submission);
+  evictSubmissions();
+  return submission;
+}
+
+/**
+ * Get a stored submission
+ * @param {string} token - Submission token
+ * @returns {Object|null} - Submission or null if unknown or expired
+ */
+export function getSubmission(token) {
+  const submission = submissions.get(token);
+
+  if (!submission || isExpired(submission)) {
+    return null;
+  }
+
+  return submission;
+}
+
+/**
+ * Forget a submission, e.g. one the queue rejected
+ * @param {string} token - Submission token
+ */
+export function deleteSubmission(token) {
+  submissions.delete(token);
+}
+
+/**
+ * Mark a submission as running
+ * @param {Object} submission - Submission
+ */
+export function markProcessing(submission) {
+  submission.status = getStatus(2);
+}
+
+/**
+ * Fill in a submission from the result of its execution
+ * @param {Object} submission - Submission
+ * @param {Object} result - Execution result
+ * @returns {Promise<void>}
+ */
+export async function completeSubmission(submission, result) {
+  const exitCode = typeof result.exitCode === 'number' ? result.exitCode : null;
+  const signal = exitCode !== null && exitCode > 128 ? exitCode - 128 : null;
+  const { statusId, message } = await getResultStatus(result, submission.expected_output, signal);
+
+  Object.assign(submission, {
+    stdout: result.stdout || null,
+    stderr: result.stderr || null,
+    compile_output: result.compile && result.compile.output ? result.compile.output : null,
+    message,
+    exit_code: signal === null ? exitCode : null,
+    exit_signal: signal,
+    status: getStatus(statusId),
+    finished_at: result.finishedAt || new Date().toISOString(),
+    time: result.metrics && typeof result.metrics.cpuTimeMs === 'number'
+      ? (result.metrics.cpuTimeMs / 1000).toFixed(3)
+      : null,
+    wall_time: result.metrics ? (result.metrics.wallTimeMs / 1000).toFixed(3) : null,
+    memory: result.metrics && typeof result.metrics.peakMemoryBytes === 'number'
+      ? Math.round(result.metrics.peakMemoryBytes / 1024)
+      : null
+  });
+}
+
+/**
+ * Mark a submission as failed by an internal error
+ * @param {Object} submission - Submission
+ * @param {Error} error - Error that stopped the execution
+ */
+export function failSubmission(submission, error) {
+  Object.assign(submission, {
+    status: getStatus(13),
+    message: error.message,
+    finished_at: new Date().toISOString()
+  });
+}
+
+/**
+ * Get the fields of a submission a request asked for
+ * @param {Object} submission - Submission
+ * @param {string} fieldsParam - Comma-separated field names, `*` for all (optional)
+ * @param {boolean} base64Encoded - Whether to base64 encode text fields
+ * @returns {Object} - Submission in Judge0 response format
+ */
+export function formatSubmission(submission, fieldsParam, base64Encoded) {
+  const language = getLanguageByJudge0Id(submission.language_id);
+  const view = {
+    ...submission,
+    status_id: submission.status.id,
+    language: language ? { id: submission.language_id, name: getJudge0LanguageName(language) } : null
+  };
+
+  let fields = DEFAULT_FIELDS;
+  if (fieldsParam === '*') {
+    fields = Object.keys(view);
+  } else if (fieldsParam) {
+    fields = fieldsParam.split(',').map(field => field.trim()).filter(field => field in view);
+  }
+
+  const response = {};
+  for (const field of fields) {
+    const value = view[field];
+    response[field] = base64Encoded && TEXT_FIELDS.includes(field) && typeof value === 'string'
+      ? Buffer.from(value).toString('base64')
+      : value;
+  }
+
+  return response;
+}
+
+/**
+ * Get the name Judge0 shows for a language
+ * @param {Object} language - Language definition
+ * @returns {string} - Name with version, e.g. "Python (3.9)"
+ */
+export function getJudge0LanguageName(language) {
+  return language.version ? `${language.name} (${language.version})` : language.name;
+}
+
+/**
+ * Get a Judge0 status by ID
+ * @param {number} id - Status ID
+ * @returns {Object} - Status with id and description
+ */
+function getStatus(id) {
+  return { ...JUDGE0_STATUSES.find(status => status.id === id) };
+}
+
+/**
+ * Determine the Judge0 status of a finished execution
+ * @param {Object} result - Execution result
+ * @param {string|null} expectedOutput - Expected output, null to accept any output
+ * @param {number|null} signal - Signal that killed the program
+ * @returns {Promise<Object>} - statusId and message
+ */
+async function getResultStatus(result, expectedOutput, signal) {
+  switch (result.status) {
+    case 'compile_error':
+      return { statusId: 6, message: null };
+    case 'timeout':
+      return { statusId: 5, message: 'Time limit exceeded' };
+    case 'memory_exceeded':
+      return { statusId: 12, message: 'Memory limit exceeded' };
+    case 'output_limit_exceeded':
+      return { statusId: 8, message: 'Output limit exceeded' };
+    case 'cancelled':
+      return { statusId: 13, message: 'Execution was cancelled' };
+    case 'error':
+      if (signal !== null) {
+        return { statusId: SIGNAL_STATUSES[signal] || 12, message: `Exited with signal ${signal}` };
+      }
+      return { statusId: 11, message: `Exited with error status ${result.exitCode}` };
+    default:
+      break;
+  }
+
+  // Judge0 ignores surrounding whitespace when comparing outputs
+  if (expectedOutput !== null && !await compareOutput(result.stdout, expectedOutput, { mode: 'trimmed' })) {
+    return { statusId: 4, message: null };
+  }
+
+  return { statusId: 3, message: null };
+}
+
+/**
+ * Check whether a submission is older than SUBMISSION_TTL_MS
+ * @param {Object} submission - Submission
+ * @returns {boolean} - Whether it expired
+ */
+function isExpired(submission) {
+  return Date.parse(submission.created_at) < Date.now() - SUBMISSION_TTL_MS;
+}
+
+/**
+ * Drop submissions older than SUBMISSION_TTL_MS
+ */
+function pruneSubmissions() {
+  for (const [token, submission] of submissions) {
+    if (!isExpired(submission)) {
+      break;
+    }
+    submissions.delete(token);
+  }
+}
+
+/**
+ * Drop the oldest finished submissions while more than MAX_SUBMISSIONS are kept
+ * Queued and running ones stay until they finish, the execution queue limits their number.
+ */
+function evictSubmissions() {
+  pruneSubmissions();
+
+  for (const [token, submission] of submissions) {
+    if (submissions.size <= MAX_SUBMISSIONS) {
+      break;
+    }
+    if (submission.status.id > 2) {
+      submissions.delete(token);
+    }
+  }
+}
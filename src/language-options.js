@@ -0,0 +1,158 @@
+/**
+ * Language options
+ * Resolves the compiler and interpreter options an execution asks for against
+ * the allowlist in its language definition. Definitions declare named options
+ * whose values map to flags:
+ *
+ *   options:
+ *     standard:
+ *       phase: compile
+ *       values:
+ *         c++17: -std=c++17
+ *     sanitizers:
+ *       phase: compile
+ *       multiple: true
+ *       values:
+ *         address: { flags: -fsanitize=address, limitAddressSpace: false }
+ *
+ * The flags of compile options fill the {compileFlags} placeholder of the
+ * compile command and those of run options the {runFlags} placeholder of the
+ * run command. Only flags from the definition reach the commands.
+ */
+
+// Phases option flags can be passed to
+const OPTION_PHASES = ['compile', 'run'];
+
+/**
+ * Check the options block of a language definition
+ * @param {Object} language - Language definition
+ * @throws {Error} - If an option has no values, an unknown phase or values without flags
+ */
+export function validateOptionDefinitions(language) {
+  for (const [name, option] of Object.entries(language.options)) {
+    if (!option || !option.values || typeof option.values !== 'object' || Object.keys(option.values).length === 0) {
+      throw new Error(`Option ${name} of language ${language.id} needs values`);
+    }
+
+    const phase = option.phase || 'compile';
+    if (!OPTION_PHASES.includes(phase)) {
+      throw new Error(`Option ${name} of language ${language.id} has an unknown phase ${phase}`);
+    }
+
+    if (phase === 'compile' && !language.compile) {
+      throw new Error(`Option ${name} of language ${language.id} is a compile option but the language isn't compiled`);
+    }
+
+    for (const [value, definition] of Object.entries(option.values)) {
+      if (typeof getValueDefinition(definition).flags !== 'string') {
+        throw new Error(`Value ${value} of option ${name} of language ${language.id} needs flags`);
+      }
+    }
+  }
+}
+
+/**
+ * Resolve the options requested for an execution
+ * @param {Object} language - Language definition
+ * @param {Object} requested - Chosen value by option name, an array of values for options allowing several (optional)
+ * @returns {Object} - selected values, compileFlags and runFlags, and limitAddressSpace
+ * (false if a chosen value can't run with a limited address space, like AddressSanitizer)
+ * @throws {Error} - If an option or value isn't allowed for the language
+ */
+export function resolveLanguageOptions(language, requested) {
+  const resolved = { selected: {}, compileFlags: [], runFlags: [], limitAddressSpace: true };
+
+  if (requested === undefined || requested === null) {
+    return resolved;
+  }
+
+  if (typeof requested !== 'object' || Array.isArray(requested)) {
+    throw new Error('languageOptions must be an object');
+  }
+
+  for (const name of Object.keys(requested)) {
+    if (!Object.hasOwn(language.options, name)) {
+      const available = Object.keys(language.options);
+      throw new Error(available.length > 0
+        ? `Unknown option ${name} for ${language.name}, expected one of: ${available.join(', ')}`
+        : `${language.name} has no options`);
+    }
+  }
+
+  // Definition order keeps the flags in a stable order
+  for (const [name, option] of Object.entries(language.options)) {
+    const value = requested[name];
+    if (value === undefined || value === null) {
+      continue;
+    }
+
+    const allowed = Object.keys(option.values);
+    const values = option.multiple ? value : [value];
+    if (!Array.isArray(values) || values.some(item => typeof item !== 'string' || !allowed.includes(item))) {
+      throw new Error(option.multiple
+        ? `Option ${name} must be an array of: ${allowed.join(', ')}`
+        : `Option ${name} must be one of: ${allowed.join(', ')}`);
+    }
+
+    const unique = [...new Set(values)];
+    resolved.selected[name] = option.multiple ? unique : unique[0];
+
+    const flags = (option.phase || 'compile') === 'run' ? resolved.runFlags : resolved.compileFlags;
+    for (const item of unique) {
+      const definition = getValueDefinition(option.values[item]);
+      flags.push(definition.flags);
+      if (definition.limitAddressSpace === false) {
+        resolved.limitAddressSpace = false;
+      }
+    }
+  }
+
+  return resolved;
+}
+
+/**
+ * Get the command placeholders of resolved options
+ * @param {Object} resolved - Resolved options
+ * @returns {Object} - compileFlags and runFlags as space-separated strings
+ */
+export function getOptionVariables(resolved) {
+  return {
+    compileFlags: resolved.compileFlags.join(' '),
+    runFlags: resolved.runFlags.join(' ')
+  };
+}
+
+/**
+ * Describe resolved options for an execution result
+ * @param {Object} resolved - Resolved options
+ * @returns {Object} - selected values and the compileFlags and runFlags they added
+ */
+export function describeLanguageOptions(resolved) {
+  return {
+    selected: resolved.selected,
+    compileFlags: resolved.compileFlags,
+    runFlags: resolved.runFlags
+  };
+}
+
+/**
+ * Get the options of a language for API responses
+ * @param {Object} language - Language definition
+ * @returns {Object} - phase, multiple and allowed values by option name
+ */
+export function getPublicOptions(language) {
+  return Object.fromEntries(Object.entries(language.options).map(([name, option]) => [name, {
+    phase: option.phase || 'compile',
+    multiple: Boolean(option.multiple),
+    values: Object.keys(option.values)
+  }]));
+}
+
+/**
+ * Normalize an option value, which is either a flags string or an object
+ * @param {string|Object} definition - Value definition
+ * @returns {Object} - flags and limitAddressSpace
+ */
+function getValueDefinition(definition) {
+  return typeof definition === 'string' ? { flags: definition } : (definition || {});
+}
@@ -0,0 +1,239 @@
+/**
+ * Language registry
+ * Loads language definitions from a directory of JSON/YAML files so every
+ * backend, the terminal and the API share one list of supported languages
+ *
+ * A definition has the following fields:
+ * - id: Unique language ID used by the API (required)
+ * - name, version: Display name and version
+ * - aliases: Other names accepted for the language
+ * - judge0Ids: Judge0 language IDs served by this language in the Judge0-compatible API
+ * - image: Docker image used for execution (required)
+ * - terminalImage: Docker image for terminal sessions, defaults to image
+ * - extension, filename: Extension and default file name of single-file programs
+ * - filenamePattern: Regex whose first group names the source file, e.g. the public Java class
+ * - compile: Shell command compiling the program (compiled languages only)
+ * - run: Shell command running the program; languages without one are terminal only
+ * - diagnostics: Compiler output format for diagnostics (gcc, javac, go, rustc or msbuild)
+ * - detectEsModules: Treat JavaScript projects using import/export as ES modules
+ * - poolSize: Number of warm containers kept ready, overrides CONTAINER_POOL_SIZE
+ * - options: Compiler and interpreter options executions can choose, see language-options.js
+ * - limits: Per-language overrides of timeoutMs, compileTimeoutMs, memoryMb, cpuPercent and maxOutputBytes
+ * - local: Overrides for the local sandbox backend: compile, run and limitAddressSpace
+ *   (false for runtimes that reserve more address space than the memory limit)
+ * - security: Per-language overrides of the security profile: user, readOnlyRootfs, tmpfsMb,
+ *   nofileLimit, fileSizeMb, capabilities (added back after dropping all) and seccompProfile
+ * - template: Default code shown when the language is picked in the editor
+ *
+ * Commands can use {entry} (entry point path), {entryName} (entry file name
+ * without extension), {mainClass} (package-qualified class of the entry point),
+ * {compileFlags} and {runFlags} (flags of the chosen options).
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import yaml from 'js-yaml';
+import dotenv from 'dotenv';
+import { validateOptionDefinitions, getPublicOptions } from './language-options.js';
+
+// Load environment variables
+dotenv.config();
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Directory holding the language definitions
+const LANGUAGES_DIR = process.env.LANGUAGES_DIR || path.join(__dirname, '..', 'languages');
+
+// Definitions by ID, and IDs by lowercase name or alias
+const languages = new Map();
+const aliases = new Map();
+
+loadLanguages(LANGUAGES_DIR);
+
+/**
+ * Load all language definitions from a directory
+ * Invalid files are logged and skipped
+ * @param {string} dir - Directory containing .json, .yaml or .yml files
+ */
+export function loadLanguages(dir) {
+  languages.clear();
+  aliases.clear();
+
+  let entries;
+  try {
+    entries = fs.readdirSync(dir).filter(file => /\.(json|ya?ml)$/.test(file)).sort();
+  } catch (error) {
+    console.error(`Error reading language definitions from ${dir}:`, error);
+    return;
+  }
+
+  for (const file of entries) {
+    try {
+      const content = fs.readFileSync(path.join(dir, file), 'utf8');
+      const definition = file.endsWith('.json') ? JSON.parse(content) : yaml.load(content);
+      registerLanguage(definition);
+    } catch (error) {
+      console.error(`Error loading language definition ${file}:`, error.message);
+    }
+  }
+
+  console.log(`Loaded ${languages.size} language definitions from ${dir}`);
+}
+
+/**
+ * Validate and register a language definition
+ * @param {Object} definition - Language definition
+ * @throws {Error} - If required fields are missing or the ID is taken
+ */
+function registerLanguage(definition) {
+  if (!definition || typeof definition.id !== 'string' || !definition.id) {
+    throw new Error('Language definition needs an id');
+  }
+
+  if (!definition.image) {
+    throw new Error(`Language ${definition.id} needs an image`);
+  }
+
+  const id = definition.id.toLowerCase();
+  if (languages.has(id)) {
+    throw new Error(`Language ${id} is defined more than once`);
+  }
+
+  const language = {
+    name: definition.id,
+    version: null,
+    aliases: [],
+    judge0Ids: [],
+    terminalImage: definition.image,
+    extension: null,
+    filename: null,
+    filenamePattern: null,
+    compile: null,
+    run: null,
+    diagnostics: null,
+    detectEsModules: false,
+    options: {},
+    limits: {},
+    security: {},
+    local: {},
+    template: '',
+    ...definition,
+    id
+  };
+  language.filename = language.filename || `program.${language.extension}`;
+  validateOptionDefinitions(language);
+
+  languages.set(id, language);
+  for (const name of [id, ...language.aliases]) {
+    aliases.set(String(name).toLowerCase(), id);
+  }
+}
+
+/**
+ * Get a language definition by ID or alias
+ * @param {string} name - Language ID or alias
+ * @returns {Object|null} - Language definition or null if unknown
+ */
+export function getLanguage(name) {
+  if (!name) {
+    return null;
+  }
+
+  const id = aliases.get(String(name).toLowerCase());
+  return id ? languages.get(id) : null;
+}
+
+/**
+ * Get a language definition that can execute code
+ * @param {string} name - Language ID or alias
+ * @returns {Object} - Language definition
+ * @throws {Error} - If the language is unknown or terminal only
+ */
+export function getExecutableLanguage(name) {
+  const language = getLanguage(name);
+
+  if (!language || !language.run) {
+    throw new Error(`Unsupported language: ${name}`);
+  }
+
+  return language;
+}
+
+/**
+ * Get the language serving a Judge0 language ID
+ * @param {number} judge0Id - Judge0 language ID
+ * @returns {Object|null} - Language definition or null if no language has the ID
+ */
+export function getLanguageByJudge0Id(judge0Id) {
+  return getLanguages().find(language => language.judge0Ids.includes(judge0Id)) || null;
+}
+
+/**
+ * Get all language definitions
+ * @returns {Array<Object>} - Language definitions sorted by ID
+ */
+export function getLanguages() {
+  return [...languages.values()].sort((a, b) => a.id.localeCompare(b.id));
+}
+
+/**
+ * Get the public description of a language for API responses
+ * @param {Object} language - Language definition
+ * @returns {Object} - Fields the frontend needs to build its language picker
+ */
+export function toPublicLanguage(language) {
+  return {
+    id: language.id,
+    name: language.name,
+    version: language.version,
+    aliases: language.aliases,
+    extension: language.extension,
+    filename: language.filename,
+    compiled: Boolean(language.compile),
+    executable: Boolean(language.run),
+    options: getPublicOptions(language),
+    limits: language.limits,
+    template: language.template
+  };
+}
+
+/**
+ * Get the default file name of a single-file program
+ * @param {Object} language - Language definition
+ * @param {string} code - Source code
+ * @returns {string} - File name
+ */
+export function getDefaultFilename(language, code) {
+  if (language.filenamePattern && code) {
+    const match = code.match(new RegExp(language.filenamePattern));
+    if (match) {
+      return `${match[1]}.${language.extension}`;
+    }
+  }
+
+  return language.filename;
+}
+
+/**
+ * Replace {placeholders} in a command template
+ * @param {string} template - Command template
+ * @param {Object} variables - Values for the placeholders
+ * @returns {string} - Command
+ */
+export function renderCommand(template, variables) {
+  return template.replace(/\{(\w+)\}/g, (match, name) => variables[name] ?? match);
+}
+
+/**
+ * Append program arguments to a command, quoted for sh
+ * @param {string} command - Rendered command
+ * @param {Array<string>} args - Program arguments (optional)
+ * @returns {string} - Command with the arguments
+ */
+export function appendArguments(command, args) {
+  if (!args || args.length === 0) {
+    return command;
+  }
+
+  return `${command} ${args.map(arg => `'${arg.replace(/'/g, `'\\''`)}'`).join(' ')}`;
+}
@@ -0,0 +1,600 @@
+/**
+ * Sample learning paths
+ * Built-in learning paths and their challenges. Programs are judged on stdout
+ * only, so solutions read input without prompts, and they must run on the
+ * Python version of the python image (3.9). The solutionCode of every
+ * challenge has to pass its own test cases within the challenge's limits.
+ */
+
+// Limits of each test case of the sample challenges, they can only lower the language's limits
+const CHALLENGE_LIMITS = { timeoutMs: 2000, memoryMb: 128 };
+
+/**
+ * Get sample learning paths for demo purposes
+ * @returns {Array<Object>} - Learning paths with their challenges
+ */
+export function getSampleLearningPaths() {
+  return [
+    {
+      id: 'python-fundamentals',
+      title: 'Python Fundamentals',
+      description: 'Learn Python programming fundamentals with hands-on exercises and challenges.',
+      language: 'python',
+      level: 'beginner',
+      prerequisites: [],
+      estimatedHours: 20,
+      concepts: ['variables', 'data types', 'functions', 'conditionals', 'loops', 'lists', 'dictionaries', 'file handling', 'error handling', 'modules'],
+      badgeUrl: 'https://img.shields.io/badge/Python-Fundamentals-blue',
+      challenges: [
+        {
+          id: 'py-hello-world',
+          title: '1. Hello World',
+          description: 'Write your first Python program to print a message to the console.',
+          difficulty: 'beginner',
+          language: 'python',
+          starterCode: '# Write a program that prints "Hello, Python!" to the console\n\n',
+          solutionCode: 'print("Hello, Python!")',
+          testCases: [
+            {
+              input: '',
+              expectedOutput: 'Hello, Python!',
+              isHidden: false,
+              explanation: 'Your code should output "Hello, Python!" to the console.'
+            }
+          ],
+          hints: [
+            'Use the print() function',
+            'Strings must be enclosed in quotes'
+          ],
+          concepts: ['print', 'strings'],
+          timeEstimate: 3,
+          limits: CHALLENGE_LIMITS
+        },
+        {
+          id: 'py-variables',
+          title: '2. Variables and Input',
+          description: 'Learn how to use variables and get user input in Python.',
+          difficulty: 'beginner',
+          language: 'python',
+          starterCode: '# Create a program that asks for the user\'s name and then greets them\n# Example: If the user enters "Alice", it should print "Hello, Alice!"\n\n',
+          solutionCode: 'name = input()\nprint(f"Hello, {name}!")',
+          testCases: [
+            {
+              input: 'Alice',
+              expectedOutput: 'Hello, Alice!',
+              isHidden: false,
+              explanation: 'Your code should ask for a name and then greet the user.'
+            }
+          ],
+          hints: [
+            'Use input() to get user input',
+            'Use variables to store the input',
+            'Use f-strings for formatted output'
+          ],
+          concepts: ['variables', 'input', 'f-strings'],
+          timeEstimate: 5,
+          limits: CHALLENGE_LIMITS
+        },
+        {
+          id: 'py-numbers',
+          title: '3. Working with Numbers',
+          description: 'Learn how to perform basic arithmetic operations in Python.',
+          difficulty: 'beginner',
+          language: 'python',
+          starterCode: '# Create a program that calculates the area of a rectangle\n# Ask the user for the width and height, then print the area\n\n',
+          solutionCode: 'width = float(input())\nheight = float(input())\narea = width * height\nprint(f"The area of the rectangle is {area} square units")',
+          testCases: [
+            {
+              input: '5\n10',
+              expectedOutput: 'The area of the rectangle is 50.0 square units',
+              isHidden: false,
+              explanation: 'Your code should calculate the area of a rectangle with width 5 and height 10.'
+            }
+          ],
+          hints: [
+            'Convert input to float using float()',
+            'Calculate area by multiplying width and height',
+            'Use f-strings to display the result'
+          ],
+          concepts: ['arithmetic', 'type conversion', 'variables'],
+          timeEstimate: 7,
+          limits: CHALLENGE_LIMITS
+        },
+        {
+          id: 'py-conditionals',
+          title: '4. Conditional Statements',
+          description: 'Learn how to use if-else statements to make decisions in your code.',
+          difficulty: 'beginner',
+          language: 'python',
+          starterCode: '# Create a program that checks if a number is positive, negative, or zero\n# Ask the user for a number and print the result\n\n',
+          solutionCode: 'number = float(input())\n\nif number > 0:\n    print("The number is positive")\nelif number < 0:\n    print("The number is negative")\nelse:\n    print("The number is zero")',
+          testCases: [
+            {
+              input: '42',
+              expectedOutput: 'The number is positive',
+              isHidden: false,
+              explanation: 'Your code should identify that 42 is a positive number.'
+            },
+            {
+              input: '-7',
+              expectedOutput: 'The number is negative',
+              isHidden: true,
+              explanation: 'Your code should identify that -7 is a negative number.'
+            }
+          ],
+          hints: [
+            'Use if, elif, and else for different conditions',
+            'Compare the number with 0',
+            'Make sure to convert the input to a number'
+          ],
+          concepts: ['conditionals', 'comparison operators'],
+          timeEstimate: 8,
+          limits: CHALLENGE_LIMITS
+        },
+        {
+          id: 'py-loops-1',
+          title: '5. For Loops',
+          description: 'Learn how to use for loops to repeat actions in Python.',
+          difficulty: 'beginner',
+          language: 'python',
+          starterCode: '# Create a program that prints the multiplication table for a number\n# Ask the user for a number, then print its multiplication table from 1 to 10\n\n',
+          solutionCode: 'number = int(input())\n\nfor i in range(1, 11):\n    result = number * i\n    print(f"{number} x {i} = {result}")',
+          testCases: [
+            {
+              input: '7',
+              expectedOutput: '7 x 1 = 7\n7 x 2 = 14\n7 x 3 = 21\n7 x 4 = 28\n7 x 5 = 35\n7 x 6 = 42\n7 x 7 = 49\n7 x 8 = 56\n7 x 9 = 63\n7 x 10 = 70',
+              isHidden: false,
+              explanation: 'Your code should print the multiplication table for 7 from 1 to 10.'
+            }
+          ],
+          hints: [
+            'Use range(1, 11) to iterate from 1 to 10',
+            'Calculate the product inside the loop',
+            'Use f-strings to format the output'
+          ],
+          concepts: ['loops', 'range', 'multiplication'],
+          timeEstimate: 8,
+          limits: CHALLENGE_LIMITS
+        },
+        {
+          id: 'py-loops-2',
+          title: '6. While Loops',
+          description: 'Learn how to use while loops for conditional repetition.',
+          difficulty: 'beginner',
+          language: 'python',
+          starterCode: '# Create a countdown program\n# Ask the user for a starting number, then count down to 0\n\n',
+          solutionCode: 'count = int(input())\n\nwhile count >= 0:\n    print(count)\n    count -= 1\n\nprint("Blast off!")',
+          testCases: [
+            {
+              input: '3',
+              expectedOutput: '3\n2\n1\n0\nBlast off!',
+              isHidden: false,
+              explanation: 'Your code should count down from 3 to 0 and then print "Blast off!"'
+            }
+          ],
+          hints: [
+            'Use a while loop that continues as long as count >= 0',
+            'Decrement the counter in each iteration with count -= 1',
+            'Print a message after the loop ends'
+          ],
+          concepts: ['while loops', 'decrement operators'],
+          timeEstimate: 7,
+          limits: CHALLENGE_LIMITS
+        },
+        {
+          id: 'py-lists-1',
+          title: '7. Lists Basics',
+          description: 'Learn how to create and manipulate lists in Python.',
+          difficulty: 'beginner',
+          language: 'python',
+          starterCode: '# Create a program that builds a shopping list\n# Ask the user to enter 5 items, add them to a list, and then print the list\n\n',
+          solutionCode: 'shopping_list = []\n\nfor i in range(5):\n    item = input()\n    shopping_list.append(item)\n\nprint("Your shopping list:")\nfor item in shopping_list:\n    print(f"- {item}")',
+          testCases: [
+            {
+              input: 'apples\nbananas\nmilk\nbread\neggs',
+              expectedOutput: 'Your shopping list:\n- apples\n- bananas\n- milk\n- bread\n- eggs',
+              isHidden: false,
+              explanation: 'Your code should create a shopping list with the 5 items entered by the user.'
+            }
+          ],
+          hints: [
+            'Create an empty list with shopping_list = []',
+            'Use append() to add items to the list',
+            'Use a loop to ask for each item',
+            'Use another loop to print each item'
+          ],
+          concepts: ['lists', 'append', 'loops'],
+          timeEstimate: 10,
+          limits: CHALLENGE_LIMITS
+        },
+        {
+          id: 'py-lists-2',
+          title: '8. List Operations',
+          description: 'Learn how to perform various operations on lists.',
+          difficulty: 'beginner',
+          language: 'python',
+          starterCode: '# Create a program that finds the maximum, minimum, and average of a list of numbers\n# Use this list: [12, 45, 78, 34, 56, 23, 89, 10]\n\n',
+          solutionCode: 'numbers = [12, 45, 78, 34, 56, 23, 89, 10]\n\nmaximum = max(numbers)\nminimum = min(numbers)\naverage = sum(numbers) / len(numbers)\n\nprint(f"Maximum: {maximum}")\nprint(f"Minimum: {minimum}")\nprint(f"Average: {average:.2f}")',
+          testCases: [
+            {
+              input: '',
+              expectedOutput: 'Maximum: 89\nMinimum: 10\nAverage: 43.38',
+              isHidden: false,
+              explanation: 'Your code should find the maximum, minimum, and average of the given list.'
+            }
+          ],
+          hints: [
+            'Use max() to find the maximum value',
+            'Use min() to find the minimum value',
+            'Use sum() and len() to calculate the average',
+            'Format the average to 2 decimal places with :.2f'
+          ],
+          concepts: ['lists', 'built-in functions', 'formatting'],
+          timeEstimate: 8,
+          limits: CHALLENGE_LIMITS
+        },
+        {
+          id: 'py-functions-1',
+          title: '9. Basic Functions',
+          description: 'Learn how to define and call functions in Python.',
+          difficulty: 'beginner',
+          language: 'python',
+          starterCode: '# Create a function called greet that takes a name as a parameter and prints a greeting\n# Then call the function with different names\n\n',
+          solutionCode: 'def greet(name):\n    print(f"Hello, {name}! Welcome to Python programming.")\n\ngreet("Alice")\ngreet("Bob")\ngreet("Charlie")',
+          testCases: [
+            {
+              input: '',
+              expectedOutput: 'Hello, Alice! Welcome to Python programming.\nHello, Bob! Welcome to Python programming.\nHello, Charlie! Welcome to Python programming.',
+              isHidden: false,
+              explanation: 'Your code should define a function that greets a person by name and call it with three different names.'
+            }
+          ],
+          hints: [
+            'Define a function using the def keyword',
+            'Add a parameter in the parentheses',
+            'Use f-strings to include the parameter in the output',
+            'Call the function with different arguments'
+          ],
+          concepts: ['functions', 'parameters', 'function calls'],
+          timeEstimate: 7,
+          limits: CHALLENGE_LIMITS
+        },
+        {
+          id: 'py-functions-2',
+          title: '10. Functions with Return Values',
+          description: 'Learn how to create functions that return values.',
+          difficulty: 'beginner',
+          language: 'python',
+          starterCode: '# Create a function called calculate_area that calculates the area of a rectangle\n# The function should take width and height as parameters and return the area\n# Test the function with different values\n\n',
+          solutionCode: 'def calculate_area(width, height):\n    area = width * height\n    return area\n\n# Test the function\nprint(f"Area of rectangle with width 5 and height 10: {calculate_area(5, 10)}")\nprint(f"Area of rectangle with width 3 and height 4: {calculate_area(3, 4)}")\nprint(f"Area of square with side 6: {calculate_area(6, 6)}")',
+          testCases: [
+            {
+              input: '',
+              expectedOutput: 'Area of rectangle with width 5 and height 10: 50\nArea of rectangle with width 3 and height 4: 12\nArea of square with side 6: 36',
+              isHidden: false,
+              explanation: 'Your code should define a function that calculates the area of a rectangle and call it with different values.'
+            }
+          ],
+          hints: [
+            'Define a function with two parameters',
+            'Calculate the area inside the function',
+            'Use the return keyword to return the result',
+            'Call the function and use the returned value in print statements'
+          ],
+          concepts: ['functions', 'return values', 'parameters'],
+          timeEstimate: 8,
+          limits: CHALLENGE_LIMITS
+        },
+        {
+          id: 'py-dictionaries',
+          title: '11. Dictionaries',
+          description: 'Learn how to use dictionaries to store key-value pairs in Python.',
+          difficulty: 'beginner',
+          language: 'python',
+          starterCode: '# Create a program that stores information about a person in a dictionary\n# Include name, age, city, and favorite programming language\n# Then print each piece of information\n\n',
+          solutionCode: 'person = {\n    "name": "John Doe",\n    "age": 25,\n    "city": "San Francisco",\n    "language": "Python"\n}\n\nprint(f"Name: {person[\'name\']}")\nprint(f"Age: {person[\'age\']}")\nprint(f"City: {person[\'city\']}")\nprint(f"Favorite Language: {person[\'language\']}")',
+          testCases: [
+            {
+              input: '',
+              expectedOutput: 'Name: John Doe\nAge: 25\nCity: San Francisco\nFavorite Language: Python',
+              isHidden: false,
+              explanation: 'Your code should create a dictionary with person information and print each value.'
+            }
+          ],
+          hints: [
+            'Create a dictionary using curly braces {}',
+            'Use key-value pairs separated by colons',
+            'Access values using square brackets and the key',
+            'Use f-strings to format the output'
+          ],
+          concepts: ['dictionaries', 'key-value pairs'],
+          timeEstimate: 8,
+          limits: CHALLENGE_LIMITS
+        },
+        {
+          id: 'py-string-methods',
+          title: '12. String Methods',
+          description: 'Learn how to manipulate strings using built-in string methods.',
+          difficulty: 'beginner',
+          language: 'python',
+          starterCode: '# Create a program that manipulates a string in various ways\n# Ask the user for a sentence, then:\n# 1. Print the sentence in uppercase\n# 2. Print the sentence in lowercase\n# 3. Print the number of characters in the sentence\n# 4. Print the sentence with all "a" characters replaced with "*"\n\n',
+          solutionCode: 'sentence = input()\n\nprint(f"Uppercase: {sentence.upper()}")\nprint(f"Lowercase: {sentence.lower()}")\nprint(f"Length: {len(sentence)} characters")\nprint(f"Replaced: {sentence.replace(\'a\', \'*\')}")',
+          testCases: [
+            {
+              input: 'Python is amazing',
+              expectedOutput: 'Uppercase: PYTHON IS AMAZING\nLowercase: python is amazing\nLength: 17 characters\nReplaced: Python is *m*zing',
+              isHidden: false,
+              explanation: 'Your code should perform various string operations on the input.'
+            }
+          ],
+          hints: [
+            'Use upper() to convert to uppercase',
+            'Use lower() to convert to lowercase',
+            'Use len() to get the length',
+            'Use replace() to replace characters'
+          ],
+          concepts: ['string methods', 'string manipulation'],
+          timeEstimate: 7,
+          limits: CHALLENGE_LIMITS
+        },
+        {
+          id: 'py-error-handling',
+          title: '13. Error Handling',
+          description: 'Learn how to handle exceptions and errors in Python.',
+          difficulty: 'intermediate',
+          language: 'python',
+          starterCode: '# Create a program that safely converts user input to a number\n# If the user enters something that\'s not a number, handle the error\n# and ask them to try again\n\n',
+          solutionCode: 'while True:\n    try:\n        number = float(input())\n        print(f"You entered: {number}")\n        break  # Exit the loop if successful\n    except ValueError:\n        print("That\'s not a valid number. Please try again.")',
+          testCases: [
+            {
+              input: 'abc\n42',
+              expectedOutput: 'That\'s not a valid number. Please try again.\nYou entered: 42.0',
+              isHidden: false,
+              explanation: 'Your code should handle invalid input and keep asking until a valid number is entered.'
+            }
+          ],
+          hints: [
+            'Use a try-except block to catch errors',
+            'Put the code that might cause an error in the try block',
+            'Handle the ValueError exception',
+            'Use a while loop to keep asking until valid input is received'
+          ],
+          concepts: ['error handling', 'exceptions', 'try-except'],
+          timeEstimate: 10,
+          limits: CHALLENGE_LIMITS
+        },
+        {
+          id: 'py-file-read',
+          title: '14. Reading Files',
+          description: 'Learn how to read data from files in Python.',
+          difficulty: 'intermediate',
+          language: 'python',
+          starterCode: '# Create a program that reads and displays the contents of a file\n# For this exercise, let\'s create a sample file content in a string variable\n# and then write code to process it as if it were read from a file\n\nfile_content = """Python is awesome\nFile handling is important\nThis is a sample file\nLearning is fun\nPractice makes perfect"""\n\n# Now write code to process this content as if you read it from a file\n# Count the number of lines and print each line with its line number\n\n',
+          solutionCode: 'file_content = """Python is awesome\nFile handling is important\nThis is a sample file\nLearning is fun\nPractice makes perfect"""\n\n# Split the content into lines\nlines = file_content.split("\\n")\n\n# Count the number of lines\nline_count = len(lines)\nprint(f"The file contains {line_count} lines.\\n")\n\n# Print each line with its line number\nfor i, line in enumerate(lines, 1):\n    print(f"Line {i}: {line}")',
+          testCases: [
+            {
+              input: '',
+              expectedOutput: 'The file contains 5 lines.\n\nLine 1: Python is awesome\nLine 2: File handling is important\nLine 3: This is a sample file\nLine 4: Learning is fun\nLine 5: Practice makes perfect',
+              isHidden: false,
+              explanation: 'Your code should count and display the lines in the file content.'
+            }
+          ],
+          hints: [
+            'Use split("\n") to divide the content into lines',
+            'Use len() to count the number of lines',
+            'Use enumerate() to get both the index and value in a loop',
+            'Pass 1 as the second argument to enumerate() to start counting from 1'
+          ],
+          concepts: ['file handling', 'string methods', 'enumerate'],
+          timeEstimate: 10,
+          limits: CHALLENGE_LIMITS
+        },
+        {
+          id: 'py-list-comprehension',
+          title: '15. List Comprehensions',
+          description: 'Learn how to use list comprehensions for concise list creation.',
+          difficulty: 'intermediate',
+          language: 'python',
+          starterCode: '# Create a program that uses list comprehensions to:\n# 1. Create a list of squares of numbers from 1 to 10\n# 2. Create a list of even numbers from 1 to 20\n# 3. Create a list of strings that are longer than 5 characters from a given list\n\nwords = ["apple", "banana", "cherry", "date", "elderberry", "fig", "grape"]\n\n',
+          solutionCode: '# List of squares from 1 to 10\nsquares = [x**2 for x in range(1, 11)]\nprint(f"Squares: {squares}")\n\n# List of even numbers from 1 to 20\neven_numbers = [x for x in range(1, 21) if x % 2 == 0]\nprint(f"Even numbers: {even_numbers}")\n\n# List of words longer than 5 characters\nwords = ["apple", "banana", "cherry", "date", "elderberry", "fig", "grape"]\nlong_words = [word for word in words if len(word) > 5]\nprint(f"Long words: {long_words}")',
+          testCases: [
+            {
+              input: '',
+              expectedOutput: 'Squares: [1, 4, 9, 16, 25, 36, 49, 64, 81, 100]\nEven numbers: [2, 4, 6, 8, 10, 12, 14, 16, 18, 20]\nLong words: [\'banana\', \'cherry\', \'elderberry\']',
+              isHidden: false,
+              explanation: 'Your code should create three different lists using list comprehensions.'
+            }
+          ],
+          hints: [
+            'Use [expression for item in iterable] syntax',
+            'Add conditions with [expression for item in iterable if condition]',
+            'Use x**2 for squares',
+            'Use x % 2 == 0 to check for even numbers',
+            'Use len(word) > 5 to check word length'
+          ],
+          concepts: ['list comprehensions', 'conditionals', 'iteration'],
+          timeEstimate: 12,
+          limits: CHALLENGE_LIMITS
+        },
+        {
+          id: 'py-functions-advanced',
+          title: '16. Advanced Functions',
+          description: 'Learn about default parameters, keyword arguments, and *args/**kwargs.',
+          difficulty: 'intermediate',
+          language: 'python',
+          starterCode: '# Create a function called print_info that can accept any number of arguments\n# The function should have parameters for name and age with default values\n# It should also accept additional keyword arguments\n# Print all the information in a formatted way\n\n',
+          solutionCode: 'def print_info(name="Unknown", age=0, *args, **kwargs):\n    print(f"Name: {name}")\n    print(f"Age: {age}")\n    \n    if args:\n        print("Additional information:")\n        for arg in args:\n            print(f"- {arg}")\n    \n    if kwargs:\n        print("Key details:")\n        for key, value in kwargs.items():\n            print(f"- {key}: {value}")\n\n# Test the function with different arguments\nprint_info()  # Using defaults\nprint("---")\nprint_info("Alice", 30)  # Positional arguments\nprint("---")\nprint_info("Bob", 25, "Developer", "Python Expert")  # With additional args\nprint("---")\nprint_info("Charlie", 35, job="Data Scientist", city="New York")  # With kwargs',
+          testCases: [
+            {
+              input: '',
+              expectedOutput: 'Name: Unknown\nAge: 0\n---\nName: Alice\nAge: 30\n---\nName: Bob\nAge: 25\nAdditional information:\n- Developer\n- Python Expert\n---\nName: Charlie\nAge: 35\nKey details:\n- job: Data Scientist\n- city: New York',
+              isHidden: false,
+              explanation: 'Your code should define a function that handles default parameters, *args, and **kwargs.'
+            }
+          ],
+          hints: [
+            'Use default parameter values with name="Unknown", age=0',
+            'Use *args to collect additional positional arguments',
+            'Use **kwargs to collect additional keyword arguments',
+            'Iterate through args and kwargs.items() to display all values'
+          ],
+          concepts: ['default parameters', 'args', 'kwargs', 'function parameters'],
+          timeEstimate: 15,
+          limits: CHALLENGE_LIMITS
+        },
+        {
+          id: 'py-classes',
+          title: '17. Classes and Objects',
+          description: 'Learn how to create and use classes in Python.',
+          difficulty: 'intermediate',
+          language: 'python',
+          starterCode: '# Create a class called Rectangle with:\n# - Attributes for width and height\n# - Methods to calculate area and perimeter\n# - A method to display information about the rectangle\n# Then create some rectangle objects and test the methods\n\n',
+          solutionCode: 'class Rectangle:\n    def __init__(self, width, height):\n        self.width = width\n        self.height = height\n    \n    def calculate_area(self):\n        return self.width * self.height\n    \n    def calculate_perimeter(self):\n        return 2 * (self.width + self.height)\n    \n    def display_info(self):\n        print(f"Rectangle: {self.width} x {self.height}")\n        print(f"Area: {self.calculate_area()}")\n        print(f"Perimeter: {self.calculate_perimeter()}")\n\n# Create rectangle objects\nrect1 = Rectangle(5, 10)\nrect2 = Rectangle(3, 4)\n\n# Test methods\nrect1.display_info()\nprint("---")\nrect2.display_info()',
+          testCases: [
+            {
+              input: '',
+              expectedOutput: 'Rectangle: 5 x 10\nArea: 50\nPerimeter: 30\n---\nRectangle: 3 x 4\nArea: 12\nPerimeter: 14',
+              isHidden: false,
+              explanation: 'Your code should define a Rectangle class with methods for area, perimeter, and display.'
+            }
+          ],
+          hints: [
+            'Define a class with the class keyword',
+            'Use __init__ for the constructor',
+            'Use self to refer to the instance',
+            'Create methods that operate on the instance attributes',
+            'Create objects with ClassName(arguments)'
+          ],
+          concepts: ['classes', 'objects', 'methods', 'attributes'],
+          timeEstimate: 15,
+          limits: CHALLENGE_LIMITS
+        },
+        {
+          id: 'py-modules',
+          title: '18. Modules and Imports',
+          description: 'Learn how to use built-in modules in Python.',
+          difficulty: 'intermediate',
+          language: 'python',
+          starterCode: '# Create a program that uses various built-in modules:\n# - math: Calculate square root and pi\n# - random: Generate random numbers\n# - datetime: Display current date and time\n# - sys: Show Python version\n# Print the results in this format:\n# Square root of 16: 4.0\n# Value of pi: 3.1416\n# Random number between 1 and 10: 7\n# Random choice from list: banana\n# Current date and time: 2024-01-31 12:00:00\n# Python version: 3.9.18 (...)\n\n',
+          solutionCode: 'import math\nimport random\nimport datetime\nimport sys\n\n# Using math module\nprint(f"Square root of 16: {math.sqrt(16)}")\nprint(f"Value of pi: {math.pi:.4f}")\n\n# Using random module\nprint(f"Random number between 1 and 10: {random.randint(1, 10)}")\nprint(f"Random choice from list: {random.choice([\'apple\', \'banana\', \'cherry\'])}")\n\n# Using datetime module\nnow = datetime.datetime.now()\nprint(f"Current date and time: {now.strftime(\'%Y-%m-%d %H:%M:%S\')}")\n\n# Using sys module\nprint(f"Python version: {sys.version}")',
+          testCases: [
+            {
+              input: '',
+              expectedOutput: 'Square root of 16: 4\\.0\nValue of pi: 3\\.1416\nRandom number between 1 and 10: (10|[1-9])\nRandom choice from list: (apple|banana|cherry)\nCurrent date and time: \\d{4}-\\d{2}-\\d{2} \\d{2}:\\d{2}:\\d{2}\nPython version: 3\\.\\d+[\\s\\S]*',
+              isHidden: false,
+              explanation: 'Your code should use various built-in modules to perform different operations. Random numbers and the date vary, so only their format is checked.'
+            }
+          ],
+          comparison: { mode: 'regex' },
+          hints: [
+            'Use import statements at the top of the file',
+            'Access module functions with module_name.function_name()',
+            'Use math.sqrt() for square root',
+            'Use random.randint() for random integers',
+            'Use datetime.datetime.now() for current time',
+            'Use sys.version for Python version'
+          ],
+          concepts: ['modules', 'imports', 'built-in functions'],
+          timeEstimate: 10,
+          limits: CHALLENGE_LIMITS
+        },
+        {
+          id: 'py-data-analysis',
+          title: '19. Simple Data Analysis',
+          description: 'Learn how to perform basic data analysis in Python.',
+          difficulty: 'intermediate',
+          language: 'python',
+          starterCode: '# Create a program that analyzes a dataset of student scores\n# Calculate the average, highest, and lowest scores\n# Count how many students scored above 90\n# Display a simple text-based histogram of score ranges\n\nscores = [85, 92, 78, 95, 88, 76, 90, 93, 65, 98, 79, 88, 82, 91, 94, 77, 84, 88, 90, 95]\n\n',
+          solutionCode: 'scores = [85, 92, 78, 95, 88, 76, 90, 93, 65, 98, 79, 88, 82, 91, 94, 77, 84, 88, 90, 95]\n\n# Basic statistics\naverage_score = sum(scores) / len(scores)\nhighest_score = max(scores)\nlowest_score = min(scores)\n\nprint(f"Student Score Analysis")\nprint(f"---------------------")\nprint(f"Number of students: {len(scores)}")\nprint(f"Average score: {average_score:.2f}")\nprint(f"Highest score: {highest_score}")\nprint(f"Lowest score: {lowest_score}")\n\n# Count scores above 90\nabove_90 = len([score for score in scores if score >= 90])\nprint(f"Students scoring 90 or above: {above_90} ({(above_90/len(scores)*100):.1f}%)")\n\n# Create a simple histogram\nprint("\\nScore Distribution:")\nranges = [(0, 59), (60, 69), (70, 79), (80, 89), (90, 100)]\nfor start, end in ranges:\n    count = len([score for score in scores if start <= score <= end])\n    stars = "*" * count\n    print(f"{start}-{end}: {stars} ({count})")',
+          testCases: [
+            {
+              input: '',
+              expectedOutput: 'Student Score Analysis\n---------------------\nNumber of students: 20\nAverage score: 86.40\nHighest score: 98\nLowest score: 65\nStudents scoring 90 or above: 9 (45.0%)\n\nScore Distribution:\n0-59:  (0)\n60-69: * (1)\n70-79: **** (4)\n80-89: ****** (6)\n90-100: ********* (9)',
+              isHidden: false,
+              explanation: 'Your code should analyze the student scores and display statistics and a histogram.'
+            }
+          ],
+          hints: [
+            'Use sum() and len() for average',
+            'Use max() and min() for highest and lowest',
+            'Use list comprehension with a condition to count scores above 90',
+            'Create ranges for the histogram',
+            'Use string multiplication to create the histogram bars'
+          ],
+          concepts: ['data analysis', 'statistics', 'list operations', 'visualization'],
+          timeEstimate: 15,
+          limits: CHALLENGE_LIMITS
+        }
+      ]
+    },
+    {
+      id: 'py-data-structures',
+      title: 'Python Data Structures',
+      description: 'Learn essential data structures and algorithms with Python.',
+      language: 'python',
+      level: 'intermediate',
+      prerequisites: ['py-basics'],
+      estimatedHours: 12,
+      concepts: ['lists', 'dictionaries', 'sets', 'tuples', 'algorithms', 'sorting', 'searching'],
+      badgeUrl: 'https://img.shields.io/badge/Python-Data_Structures-blue',
+      challenges: [
+        {
+          id: 'py-list-operations',
+          title: 'List Operations',
+          description: 'Practice common list operations in Python.',
+          difficulty: 'intermediate',
+          language: 'python',
+          starterCode: '# Create a function that finds the second largest number in a list\n# Example: find_second_largest([5, 2, 8, 1, 9]) should return 8\n\nimport json\n\ndef find_second_largest(numbers):\n    # Your code here\n    pass\n\n# The input is a list like [5, 2, 8, 1, 9]\nprint(find_second_largest(json.loads(input())))\n',
+          solutionCode: 'import json\n\ndef find_second_largest(numbers):\n    if len(numbers) < 2:\n        return None\n    # Sort the list in descending order\n    sorted_numbers = sorted(numbers, reverse=True)\n    # Return the second element\n    return sorted_numbers[1]\n\n# The input is a list like [5, 2, 8, 1, 9]\nprint(find_second_largest(json.loads(input())))\n',
+          testCases: [
+            {
+              input: '[5, 2, 8, 1, 9]',
+              expectedOutput: '8',
+              isHidden: false,
+              explanation: 'The largest number is 9, so the second largest is 8.'
+            },
+            {
+              input: '[3, 3, 3]',
+              expectedOutput: '3',
+              isHidden: true,
+              explanation: 'When there are duplicates, the second largest is the same as the largest.'
+            }
+          ],
+          hints: [
+            'Consider sorting the list first.',
+            'Remember to handle edge cases like empty lists or lists with only one element.',
+            'What if there are duplicate values in the list?'
+          ],
+          concepts: ['lists', 'sorting', 'algorithms'],
+          timeEstimate: 15,
+          limits: CHALLENGE_LIMITS
+        },
+        {
+          id: 'py-dictionary-usage',
+          title: 'Dictionary Usage',
+          description: 'Learn how to use dictionaries for efficient data lookup.',
+          difficulty: 'intermediate',
+          language: 'python',
+          starterCode: '# Create a function that counts the frequency of each word in a string\n# Example: word_frequency("hello world hello") should return {"hello": 2, "world": 1}\n\nimport json\n\ndef word_frequency(text):\n    # Your code here\n    pass\n\n# The input is a quoted string like "hello world hello", the result is printed as JSON\nprint(json.dumps(word_frequency(json.loads(input()))))\n',
+          solutionCode: 'import json\n\ndef word_frequency(text):\n    words = text.lower().split()\n    frequency = {}\n    \n    for word in words:\n        if word in frequency:\n            frequency[word] += 1\n        else:\n            frequency[word] = 1\n            \n    return frequency\n\n# The input is a quoted string like "hello world hello", the result is printed as JSON\nprint(json.dumps(word_frequency(json.loads(input()))))\n',
+          testCases: [
+            {
+              input: '"hello world hello"',
+              expectedOutput: '{"hello": 2, "world": 1}',
+              isHidden: false,
+              explanation: 'The word "hello" appears twice and "world" appears once.'
+            }
+          ],
+          hints: [
+            'Split the string into words using the split() method.',
+            'Use a dictionary to keep track of word counts.',
+            'Consider converting all words to lowercase for case-insensitive counting.'
+          ],
+          concepts: ['dictionaries', 'strings', 'loops'],
+          timeEstimate: 20,
+          limits: CHALLENGE_LIMITS
+        }
+      ]
+    }
+  ];
+}
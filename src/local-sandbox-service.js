@@ -0,0 +1,616 @@
+/**
+ * Local sandbox service for hosts without Docker
+ * Runs the compilers and interpreters installed on the host inside Linux
+ * namespaces (no network, own PID, IPC and UTS namespaces) with rlimits, a
+ * private temp directory and, if a delegated cgroup v2 directory is configured,
+ * cgroup limits on memory, processes and CPU
+ */
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { spawn } from 'child_process';
+import { v4 as uuidv4 } from 'uuid';
+import dotenv from 'dotenv';
+import { createOutputCollector } from './execution-output.js';
+import { parseDiagnostics } from './diagnostics.js';
+import { STDIN_FILENAME, getProjectFiles, getCommandVariables, writeSourceFiles, restrictWorkspace } from './workspace.js';
+import { getExecutableLanguage, renderCommand, appendArguments } from './language-registry.js';
+import { getExecutionLimits } from './execution-limits.js';
+import { resolveLanguageOptions, getOptionVariables, describeLanguageOptions } from './language-options.js';
+import { ARTIFACTS_DIR, createArtifactStore, createArtifactsDir, collectArtifacts } from './artifacts.js';
+import { getSecurityProfile } from './security-profile.js';
+import { createCancelledResult, createRunResult, getExecutionStatus, getTimings, summarizeRun } from './execution-result.js';
+
+// Load environment variables
+dotenv.config();
+
+// Directory holding the workspaces of local executions
+const LOCAL_SANDBOX_DIR = process.env.LOCAL_SANDBOX_DIR || path.join(os.tmpdir(), 'online-compiler');
+
+// PATH for programs in the sandbox, must only contain directories the sandbox user can read
+const LOCAL_SANDBOX_PATH = process.env.LOCAL_SANDBOX_PATH || '/usr/local/sbin:/usr/local/bin:/usr/sbin:/usr/bin:/sbin:/bin';
+
+// Delegated cgroup v2 directory, cgroup limits are skipped if unset
+const CGROUP_ROOT = process.env.CGROUP_ROOT || null;
+
+// Process limit per execution
+const PIDS_LIMIT = 50;
+
+// Namespaces need root or unprivileged user namespaces
+const IS_ROOT = typeof process.getuid === 'function' && process.getuid() === 0;
+
+// New network, PID, mount (for /proc), IPC and UTS namespaces for every phase
+const NAMESPACE_ARGS = ['--net', '--pid', '--fork', '--kill-child', '--mount-proc', '--ipc', '--uts'];
+
+// Prepares the mount namespace of a phase while still privileged: covers the directories
+// holding other executions' files with empty tmpfs mounts and mounts the execution's own
+// workspace back in. After its parent is covered "." still refers to the workspace, so
+// it's the source of the bind mount.
+// Arguments: workspace directory, working directory, colon-separated directories to hide
+const MOUNT_SETUP_SCRIPT = [
+  'workspace=$1; cwd=$2; hidden=$3; shift 3',
+  'cd "$workspace" || exit 125',
+  'IFS=:',
+  'for dir in $hidden; do',
+  '  if [ -d "$dir" ]; then mount -t tmpfs -o size=64k,mode=0755 sandbox "$dir" || exit 125; fi',
+  'done',
+  'unset IFS',
+  'mkdir -p "$workspace" && mount --no-canonicalize --bind . "$workspace" && cd "$cwd" || exit 125',
+  'exec "$@"'
+].join('\n');
+
+/**
+ * Execute code on the host inside a sandbox
+ * Compiled languages run in two phases: a compile phase with its own timeout,
+ * whose result is reported in `compile`, followed by the run phase
+ * @param {string} code - The code to execute
+ * @param {string} language - The programming language
+ * @param {string} input - Standard input for the program
+ * @param {Object} options - Execution options
+ * @param {string} options.executionId - ID to use for the execution (generated if omitted)
+ * @param {Function} options.onOutput - Called with { stream, data } for each output chunk while the program runs
+ * @param {Array<Object>} options.files - Project files with path and content, used instead of code
+ * @param {string} options.entryPoint - Path of the file to run, defaults to the first file
+ * @param {AbortSignal} options.signal - Cancels the execution, killing the program
+ * @param {Readable} options.stdin - Live stdin of an interactive execution, replaces input once the program runs
+ * @param {Array<string>} options.args - Command-line arguments of the program
+ * @param {Object} options.env - Environment variables of the program, validated by the caller
+ * @param {Object} options.limits - Lower timeoutMs, compileTimeoutMs and memoryMb for this execution
+ * @param {Object} options.languageOptions - Compiler and interpreter options from the language's allowlist
+ * @param {boolean} options.collectArtifacts - Whether to collect the files the program writes to outputs/
+ * @param {string} options.userId - ID of the signed in user owning collected artifacts, null for anonymous executions
+ * @param {Array<string>} options.inputs - Inputs to run the program with one after another after compiling
+ * once, used instead of input. The top-level fields describe the last run and `runs` has a summary of each.
+ * @returns {Promise<Object>} - Execution result with stdout, stderr, output, events, compile, languageOptions,
+ * artifacts (files the program wrote to outputs/, if collected) and metrics
+ */
+export async function executeCode(code, language, input = '', options = {}) {
+  const config = getExecutableLanguage(language);
+  const limits = getExecutionLimits(config, options.limits);
+  const languageOptions = resolveLanguageOptions(config, options.languageOptions);
+  const commands = getLocalCommands(config);
+
+  const executionId = options.executionId || uuidv4();
+  const startedAt = new Date();
+  const workspaceDir = path.join(LOCAL_SANDBOX_DIR, executionId);
+  const projectDir = path.join(workspaceDir, 'code');
+  const tmpDir = path.join(workspaceDir, 'tmp');
+  // Runs finished so far, kept if a later one fails
+  const runs = [];
+
+  try {
+    await fs.mkdir(LOCAL_SANDBOX_DIR, { recursive: true });
+    await fs.chmod(LOCAL_SANDBOX_DIR, 0o700);
+    await fs.mkdir(projectDir, { recursive: true });
+    await fs.mkdir(tmpDir, { recursive: true });
+
+    // Write the project files, a single code string becomes one file
+    const { files, entryPoint } = getProjectFiles(code, config, options);
+    console.log(`Writing ${files.length} file(s), entry point: ${entryPoint}`);
+    await writeSourceFiles(projectDir, files);
+
+    // Write input to file, the run command reads stdin from it
+    await fs.writeFile(path.join(projectDir, STDIN_FILENAME), (options.inputs ? options.inputs[0] : input) || '');
+    if (options.collectArtifacts) {
+      await createArtifactsDir(projectDir);
+    }
+    // The store has to exist before the sandbox starts so it can be hidden
+    await createArtifactStore();
+    await restrictWorkspace(workspaceDir, IS_ROOT ? getSandboxOwner(getSecurityProfile(config)) : null);
+
+    if (options.signal && options.signal.aborted) {
+      return createCancelledResult(executionId, startedAt, describeLanguageOptions(languageOptions));
+    }
+
+    const variables = { ...getCommandVariables(files, entryPoint), ...getOptionVariables(languageOptions) };
+    const phaseOptions = {
+      executionId,
+      languageName: config.name,
+      workspaceDir,
+      cwd: projectDir,
+      tmpDir,
+      limits,
+      security: getSecurityProfile(config),
+      limitAddressSpace: commands.limitAddressSpace && languageOptions.limitAddressSpace,
+      signal: options.signal
+    };
+
+    // Compile phase
+    let compile = null;
+    if (commands.compile) {
+      console.log(`Compiling ${entryPoint}`);
+      const phase = await runPhase(renderCommand(commands.compile, variables), {
+        ...phaseOptions,
+        name: 'compile',
+        timeout: limits.compileTimeoutMs,
+        cpuTimeLimit: Math.ceil(limits.compileTimeoutMs / 1000)
+      });
+
+      if (phase.cancelled) {
+        return createCancelledResult(executionId, startedAt, describeLanguageOptions(languageOptions));
+      }
+
+      compile = {
+        status: getExecutionStatus(phase),
+        exitCode: phase.exitCode,
+        stdout: phase.stdout,
+        stderr: phase.stderr,
+        output: phase.output,
+        durationMs: phase.durationMs,
+        diagnostics: parseDiagnostics(config.diagnostics, phase.output)
+      };
+
+      // Don't run the program if it didn't compile
+      if (compile.status !== 'success') {
+        return {
+          executionId,
+          status: 'compile_error',
+          stdout: '',
+          stderr: '',
+          output: phase.output,
+          events: [],
+          exitCode: phase.exitCode,
+          outputLimitExceeded: false,
+          compile,
+          languageOptions: describeLanguageOptions(languageOptions),
+          artifacts: [],
+          artifactsTruncated: false,
+          metrics: null,
+          ...getTimings(startedAt)
+        };
+      }
+    }
+
+    // Run phase, once per input when there are several
+    const inputs = options.inputs || [input];
+    for (const [index, runInput] of inputs.entries()) {
+      if (index > 0) {
+        await fs.writeFile(path.join(projectDir, STDIN_FILENAME), runInput || '');
+      }
+
+      const run = createRunResult(await runPhase(appendArguments(renderCommand(commands.run, variables), options.args), {
+        ...phaseOptions,
+        name: 'run',
+        timeout: limits.timeoutMs,
+        cpuTimeLimit: limits.cpuTimeLimit,
+        stdinFile: STDIN_FILENAME,
+        stdin: options.stdin,
+        env: options.env,
+        onOutput: options.onOutput
+      }));
+
+      runs.push(run);
+      if (run.status === 'cancelled') {
+        break;
+      }
+    }
+
+    // The PID namespace is gone, so nothing can change the files while they're collected
+    const run = runs[runs.length - 1];
+    const collected = options.collectArtifacts && run.status !== 'cancelled'
+      ? await collectArtifacts(executionId, projectDir, { userId: options.userId })
+      : { artifacts: [], truncated: false };
+
+    return {
+      executionId,
+      ...run,
+      compile,
+      languageOptions: describeLanguageOptions(languageOptions),
+      artifacts: collected.artifacts,
+      artifactsTruncated: collected.truncated,
+      ...(options.inputs ? { runs: runs.map(summarizeRun) } : {}),
+      ...getTimings(startedAt)
+    };
+  } catch (error) {
+    console.error('Error executing code:', error);
+
+    return {
+      executionId,
+      status: 'error',
+      stdout: '',
+      stderr: error.message,
+      output: error.message,
+      events: [{ stream: 'stderr', data: error.message, time: 0 }],
+      exitCode: 1,
+      outputLimitExceeded: false,
+      compile: null,
+      languageOptions: describeLanguageOptions(languageOptions),
+      artifacts: [],
+      artifactsTruncated: false,
+      metrics: null,
+      // Inputs that already ran keep their results
+      ...(options.inputs ? { runs: runs.map(summarizeRun) } : {}),
+      ...getTimings(startedAt)
+    };
+  } finally {
+    // Cleanup the workspace, including the private temp directory
+    try {
+      await fs.rm(workspaceDir, { recursive: true, force: true });
+    } catch (cleanupError) {
+      console.error('Error cleaning up local sandbox directory:', cleanupError);
+    }
+  }
+}
+
+/**
+ * Check whether sandboxes can be created on this host
+ * Enters the namespaces and applies an rlimit like a real phase, running `true`
+ * @returns {Promise<Object>} - reachable, whether cgroup limits are configured, or the error
+ */
+export function checkHealth() {
+  const args = [...NAMESPACE_ARGS, ...(IS_ROOT ? [] : ['--user', '--map-root-user']), '--', 'prlimit', '--nofile=64', '--', 'true'];
+
+  return new Promise(resolve => {
+    const child = spawn('unshare', args, { stdio: 'ignore' });
+    child.on('error', error => resolve({ reachable: false, error: error.message }));
+    child.on('close', code => {
+      if (code === 0) {
+        resolve({ reachable: true, cgroups: Boolean(CGROUP_ROOT) });
+      } else {
+        resolve({ reachable: false, error: `Sandbox check exited with code ${code}` });
+      }
+    });
+  });
+}
+
+/**
+ * Get the commands of a language for the local backend
+ * Definitions can override compile and run in their `local` block, e.g. where
+ * host installations name interpreters differently than the Docker images
+ * @param {Object} language - Language definition
+ * @returns {Object} - compile, run and limitAddressSpace
+ */
+function getLocalCommands(language) {
+  const local = language.local || {};
+
+  return {
+    compile: local.compile !== undefined ? local.compile : language.compile,
+    run: local.run || language.run,
+    // Runtimes reserving large virtual address ranges (JVM, Go, V8) fail under an address space limit
+    limitAddressSpace: local.limitAddressSpace !== false
+  };
+}
+
+/**
+ * Run one phase (compile or run) of an execution in the sandbox
+ * @param {string} command - Shell command to run
+ * @param {Object} options - Phase options
+ * @param {string} options.executionId - Execution ID, used for logging and the cgroup name
+ * @param {string} options.languageName - Name of the language, used in errors
+ * @param {string} options.name - Phase name, compile or run
+ * @param {string} options.workspaceDir - Workspace directory, the only part of LOCAL_SANDBOX_DIR the phase sees
+ * @param {string} options.cwd - Project directory
+ * @param {string} options.tmpDir - Private temp directory
+ * @param {Object} options.limits - Execution limits of the language
+ * @param {Object} options.security - Security profile of the language
+ * @param {boolean} options.limitAddressSpace - Enforce the memory limit as an address space rlimit without cgroups,
+ * phases that can't run under one need a cgroup
+ * @param {number} options.timeout - Wall-clock limit in ms
+ * @param {number} options.cpuTimeLimit - CPU-time limit in seconds
+ * @param {string} options.stdinFile - File in the project directory to use as stdin
+ * @param {Readable} options.stdin - Stream attached to the program's stdin instead of stdinFile
+ * @param {Object} options.env - Environment variables of the program, added to the minimal sandbox environment
+ * of the program only
+ * @param {Function} options.onOutput - Called with { stream, data } for each output chunk
+ * @param {AbortSignal} options.signal - Kills the program when aborted
+ * @returns {Promise<Object>} - Exit code, output, timing, resource usage and how the phase stopped
+ * @throws {Error} - If the phase would run without any memory limit
+ */
+async function runPhase(command, options) {
+  const phaseStartedAt = Date.now();
+  const interactive = Boolean(options.stdin);
+  const cgroup = await createCgroup(`${options.executionId}-${options.name}`, options.limits);
+
+  // The address space rlimit is the only memory limit without a cgroup
+  if (!cgroup && !options.limitAddressSpace) {
+    throw new Error(`${options.languageName} can't run under an address space limit and needs cgroup memory limits (CGROUP_ROOT) on the local backend`);
+  }
+
+  // The shell reports the CPU time of the program on fd 3, which the program itself doesn't get
+  const stdinRedirect = interactive ? '' : ` < ${options.stdinFile || '/dev/null'}`;
+  const script = `(${command}) 3>&-${stdinRedirect}; code=$?; times >&3; exit $code`;
+  const args = [...getSandboxArgs(options, Boolean(cgroup)), 'sh', '-c', script];
+
+  // Join the cgroup before entering the sandbox so every process of the program is in it
+  const child = cgroup
+    ? spawn('sh', ['-c', 'echo $$ > "$0/cgroup.procs" && exec "$@"', cgroup, ...args], getSpawnOptions(options))
+    : spawn(args[0], args.slice(1), getSpawnOptions(options));
+
+  // Kill the whole sandbox once the wall-clock deadline passes, the output limit
+  // is reached or the execution is cancelled
+  const killSandbox = () => {
+    try {
+      process.kill(-child.pid, 'SIGKILL');
+    } catch (killError) {
+      // Already exited
+    }
+  };
+
+  const collector = createOutputCollector(options.onOutput, {
+    maxBytes: options.limits.maxOutputBytes,
+    onLimitExceeded: () => {
+      console.log(`Execution ${options.executionId} exceeded ${options.limits.maxOutputBytes} bytes of output, killing it`);
+      killSandbox();
+    }
+  });
+  child.stdout.on('data', chunk => collector.write('stdout', chunk));
+  child.stderr.on('data', chunk => collector.write('stderr', chunk));
+
+  let times = '';
+  child.stdio[3].setEncoding('utf8');
+  child.stdio[3].on('data', chunk => {
+    times += chunk;
+  });
+
+  // Forward live input, ending it closes the program's stdin
+  if (interactive) {
+    child.stdin.on('error', () => {});
+    options.stdin.pipe(child.stdin);
+  }
+
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    console.log(`Execution ${options.executionId} exceeded ${options.timeout}ms, killing it`);
+    killSandbox();
+  }, options.timeout);
+
+  let cancelled = false;
+  const onAbort = () => {
+    cancelled = true;
+    console.log(`Execution ${options.executionId} cancelled, killing it`);
+    killSandbox();
+  };
+  if (options.signal) {
+    options.signal.addEventListener('abort', onAbort, { once: true });
+  }
+
+  // Wait for the sandbox to exit
+  let exitCode;
+  try {
+    exitCode = await new Promise((resolve, reject) => {
+      child.on('error', reject);
+      child.on('close', (code, signal) => {
+        resolve(code !== null ? code : 128 + (os.constants.signals[signal] || 0));
+      });
+    });
+  } finally {
+    clearTimeout(timer);
+    if (options.signal) {
+      options.signal.removeEventListener('abort', onAbort);
+    }
+    if (interactive) {
+      options.stdin.unpipe(child.stdin);
+    }
+  }
+
+  const durationMs = Date.now() - phaseStartedAt;
+  const usage = cgroup ? await readCgroupUsage(cgroup) : {};
+  if (cgroup) {
+    await removeCgroup(cgroup);
+  }
+
+  return {
+    exitCode,
+    timedOut,
+    cancelled,
+    // Without a cgroup a program hitting the address space limit fails its allocations instead
+    oomKilled: usage.oomKills > 0,
+    durationMs,
+    cpuTimeMs: usage.cpuTimeMs ?? parseChildCpuTime(times),
+    peakMemoryBytes: usage.peakMemoryBytes ?? null,
+    ...collector.getOutput()
+  };
+}
+
+/**
+ * Get the command prefix entering the namespaces and applying the rlimits of a phase
+ * The mount namespace is set up while privileged, then the phase drops to the
+ * sandbox user (as root) or into a nested user namespace without capabilities,
+ * which also locks the mounts so the program can't remove them
+ * @param {Object} options - Phase options
+ * @param {boolean} hasCgroup - Whether the phase runs in its own cgroup
+ * @returns {Array<string>} - unshare, setup, prlimit and env arguments, followed by the command to run
+ */
+function getSandboxArgs(options, hasCgroup) {
+  const { security, limits } = options;
+
+  const args = ['unshare', ...NAMESPACE_ARGS];
+  if (!IS_ROOT) {
+    // Mapped to root inside, so the setup can mount
+    args.push('--user', '--map-root-user');
+  }
+
+  // Other workspaces and the artifact store are hidden from the program
+  const hiddenDirs = [LOCAL_SANDBOX_DIR, ARTIFACTS_DIR].join(':');
+  args.push('--', 'sh', '-c', MOUNT_SETUP_SCRIPT, 'sandbox-setup', options.workspaceDir, options.cwd, hiddenDirs);
+
+  if (IS_ROOT) {
+    const { uid, gid } = getSandboxOwner(security);
+    args.push('setpriv', `--reuid=${uid}`, `--regid=${gid}`, '--clear-groups', '--no-new-privs', '--');
+  } else {
+    args.push('unshare', '--user', '--mount', '--');
+  }
+
+  args.push(
+    'prlimit',
+    `--cpu=${options.cpuTimeLimit}`,
+    `--nofile=${security.nofileLimit}`,
+    `--fsize=${security.fileSizeMb * 1024 * 1024}`
+  );
+
+  // Without cgroups, memory and processes can only be limited per process or per user
+  if (!hasCgroup) {
+    if (options.limitAddressSpace) {
+      args.push(`--as=${limits.memoryMb * 1024 * 1024}`);
+    }
+    if (IS_ROOT) {
+      args.push(`--nproc=${PIDS_LIMIT}`);
+    }
+  }
+
+  // The program's own variables are set for the program only, the sandbox tools run without them
+  args.push('--', 'env', ...Object.entries(options.env || {}).map(([name, value]) => `${name}=${value}`));
+  return args;
+}
+
+/**
+ * Get the user and group the programs of a language run as
+ * @param {Object} security - Security profile of the language
+ * @returns {Object} - Numeric uid and gid
+ * @throws {Error} - If the sandbox user isn't numeric
+ */
+function getSandboxOwner(security) {
+  const [uid, gid] = String(security.user).split(':');
+  const owner = { uid: Number(uid), gid: Number(gid || uid) };
+
+  if (!Number.isInteger(owner.uid) || !Number.isInteger(owner.gid)) {
+    throw new Error(`The sandbox user must be given as uid:gid, got ${security.user}`);
+  }
+
+  return owner;
+}
+
+/**
+ * Get the spawn options of a phase: a minimal environment and its own process group
+ * @param {Object} options - Phase options
+ * @returns {Object} - child_process.spawn options
+ */
+function getSpawnOptions(options) {
+  return {
+    cwd: options.cwd,
+    env: {
+      PATH: LOCAL_SANDBOX_PATH,
+      HOME: options.tmpDir,
+      TMPDIR: options.tmpDir,
+      LANG: 'C.UTF-8'
+    },
+    stdio: [options.stdin ? 'pipe' : 'ignore', 'pipe', 'pipe', 'pipe'],
+    // Own process group so the whole sandbox can be killed at once
+    detached: true
+  };
+}
+
+/**
+ * Parse the output of the shell's `times` builtin
+ * The second line holds the user and system time of the shell's children
+ * @param {string} times - Output of times, e.g. "0m0.001s 0m0.000s\n0m0.020s 0m0.004s"
+ * @returns {number|null} - CPU time in ms, or null if the program was killed before it was reported
+ */
+function parseChildCpuTime(times) {
+  const line = times.trim().split('\n')[1];
+  const matches = line ? [...line.matchAll(/(\d+)m([\d.]+)s/g)] : [];
+
+  if (matches.length !== 2) {
+    return null;
+  }
+
+  const seconds = matches.reduce((total, match) => total + parseInt(match[1], 10) * 60 + parseFloat(match[2]), 0);
+  return Math.round(seconds * 1000);
+}
+
+/**
+ * Create a cgroup for one phase of an execution
+ * @param {string} name - Cgroup name
+ * @param {Object} limits - Execution limits of the language
+ * @returns {Promise<string|null>} - Cgroup directory, or null if cgroups are not configured or unavailable
+ */
+async function createCgroup(name, limits) {
+  if (!CGROUP_ROOT) {
+    return null;
+  }
+
+  const dir = path.join(CGROUP_ROOT, name);
+
+  try {
+    await fs.mkdir(dir);
+    await fs.writeFile(path.join(dir, 'memory.max'), String(limits.memoryMb * 1024 * 1024));
+    await fs.writeFile(path.join(dir, 'memory.swap.max'), '0');
+    await fs.writeFile(path.join(dir, 'pids.max'), String(PIDS_LIMIT));
+    await fs.writeFile(path.join(dir, 'cpu.max'), `${limits.cpuPercent * 1000} 100000`);
+    return dir;
+  } catch (error) {
+    console.error(`Error creating cgroup ${dir}, running without cgroup limits:`, error.message);
+    await removeCgroup(dir);
+    return null;
+  }
+}
+
+/**
+ * Read the resource usage of a cgroup whose processes have exited
+ * @param {string} dir - Cgroup directory
+ * @returns {Promise<Object>} - cpuTimeMs, peakMemoryBytes and oomKills, each undefined if unavailable
+ */
+async function readCgroupUsage(dir) {
+  const usage = {};
+
+  try {
+    const cpuStat = await fs.readFile(path.join(dir, 'cpu.stat'), 'utf8');
+    const match = cpuStat.match(/^usage_usec (\d+)$/m);
+    if (match) {
+      usage.cpuTimeMs = Math.round(parseInt(match[1], 10) / 1000);
+    }
+  } catch (error) {
+    // cpu controller not enabled
+  }
+
+  try {
+    // memory.peak needs Linux 5.19
+    usage.peakMemoryBytes = parseInt(await fs.readFile(path.join(dir, 'memory.peak'), 'utf8'), 10);
+  } catch (error) {
+    // Not available
+  }
+
+  try {
+    const events = await fs.readFile(path.join(dir, 'memory.events'), 'utf8');
+    const match = events.match(/^oom_kill (\d+)$/m);
+    if (match) {
+      usage.oomKills = parseInt(match[1], 10);
+    }
+  } catch (error) {
+    // memory controller not enabled
+  }
+
+  return usage;
+}
+
+/**
+ * Remove a cgroup, retrying briefly while its last processes are reaped
+ * @param {string} dir - Cgroup directory
+ * @returns {Promise<void>}
+ */
+async function removeCgroup(dir) {
+  for (let attempt = 0; attempt < 10; attempt++) {
+    try {
+      await fs.rmdir(dir);
+      return;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return;
+      }
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+  }
+
+  console.error(`Error removing cgroup ${dir}`);
+}
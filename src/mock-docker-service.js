@@ -7,12 +7,18 @@ import { v4 as uuidv4 } from 'uuid';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { promisify } from 'util';
-import { exec } from 'child_process';
+import { createOutputCollector } from './execution-output.js';
+import { STDIN_FILENAME, getProjectFiles, writeSourceFiles, getFileText } from './workspace.js';
+import { getLanguage, getExecutableLanguage } from './language-registry.js';
+import { getExecutionLimits } from './execution-limits.js';
+import { resolveLanguageOptions, describeLanguageOptions } from './language-options.js';
+import { summarizeRun } from './execution-result.js';
 
-const execPromise = promisify(exec);
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
+// Simulated memory footprint of a program before its code, input and output
+const MOCK_BASE_MEMORY_BYTES = 8 * 1024 * 1024;
+
 // Create temp directory if it doesn't exist
 try {
   await fs.mkdir(path.join(__dirname, '..', 'temp'), { recursive: true });
@@ -268,38 +274,13 @@ async function handleCInput(code, input) {
   return { output, exitCode: 0, status: 'success' };
 }
 
-// Language configurations for mock execution
-const languageConfigs = {
-  javascript: {
-    extension: 'js',
-    filename: 'program.js',
-    inputHandler: handleJavaScriptInput
-  },
-  python: {
-    extension: 'py',
-    filename: 'program.py',
-    inputHandler: handlePythonInput
-  },
-  java: {
-    extension: 'java',
-    filename: 'Main.java',
-    inputHandler: handleJavaInput
-  },
-  cpp: {
-    extension: 'cpp',
-    filename: 'program.cpp',
-    inputHandler: handleCppInput
-  },
-  c: {
-    extension: 'c',
-    filename: 'program.c',
-    inputHandler: handleCInput
-  },
-  html: {
-    extension: 'html',
-    filename: 'index.html',
-    inputHandler: null
-  }
+// Input handlers for mock execution
+const mockInputHandlers = {
+  javascript: handleJavaScriptInput,
+  python: handlePythonInput,
+  java: handleJavaInput,
+  cpp: handleCppInput,
+  c: handleCInput
 };
 
 /**
@@ -307,49 +288,195 @@ const languageConfigs = {
  * @param {string} code - The code to execute
  * @param {string} language - The programming language
  * @param {string} input - Standard input for the program
+ * @param {Object} options - Execution options
+ * @param {string} options.executionId - ID to use for the execution (generated if omitted)
+ * @param {Function} options.onOutput - Called with { stream, data } once the simulated output is ready
+ * @param {Array<Object>} options.files - Project files with path and content, used instead of code
+ * @param {string} options.entryPoint - Path of the file to run, defaults to the first file
+ * @param {AbortSignal} options.signal - Cancels the simulated run
+ * @param {Readable} options.stdin - Live stdin of an interactive execution, the run is simulated once it ends
+ * @param {Object} options.limits - Lower timeoutMs, compileTimeoutMs and memoryMb for this execution
+ * @param {Array<string>} options.args - Command-line arguments, substituted for sys.argv and process.argv
+ * @param {Object} options.env - Environment variables, substituted for os.getenv, os.environ and process.env
+ * @param {Object} options.languageOptions - Compiler and interpreter options, checked and echoed but not simulated
+ * @param {Array<string>} options.inputs - Inputs to simulate the program with one after another, used instead
+ * of input. The top-level fields describe the last run and `runs` has a summary of each.
+ * @returns {Promise<Object>} - Execution result with stdout, stderr, output, events, compile, languageOptions,
+ * artifacts (always empty, nothing writes files) and estimated metrics
+ */
+export async function executeCode(code, language, input = '', options = {}) {
+  const executionId = options.executionId || uuidv4();
+  const startedAt = new Date();
+  
+  // Nothing is compiled, so each input is a separate simulated execution
+  if (options.inputs) {
+    const runs = [];
+    for (const runInput of options.inputs) {
+      const run = await executeCode(code, language, runInput, { ...options, executionId, inputs: undefined });
+      runs.push(run);
+      if (run.status === 'cancelled') {
+        break;
+      }
+    }
+    
+    const finishedAt = new Date();
+    return {
+      ...runs[runs.length - 1],
+      runs: runs.map(summarizeRun),
+      startedAt: startedAt.toISOString(),
+      finishedAt: finishedAt.toISOString(),
+      durationMs: finishedAt - startedAt
+    };
+  }
+  
+  const config = getLanguage(language);
+  const languageOptions = config ? resolveLanguageOptions(config, options.languageOptions) : null;
+  const cpuUsageBefore = process.cpuUsage();
+  
+  const result = await runMockExecution(code, language, input, executionId, options);
+  const cpuUsage = process.cpuUsage(cpuUsageBefore);
+  
+  // The mock produces all output at once, so record it as a single chunk
+  // on stdout, or on stderr when the simulated run failed
+  const collector = createOutputCollector(options.onOutput, {
+    maxBytes: config ? getExecutionLimits(config, options.limits).maxOutputBytes : undefined
+  });
+  collector.write(result.status === 'success' ? 'stdout' : 'stderr', result.output);
+  const output = collector.getOutput();
+  if (output.outputLimitExceeded) {
+    result.status = 'output_limit_exceeded';
+  }
+  
+  // Compiled languages always "compile" successfully in the mock
+  const compile = config && config.compile && result.status !== 'cancelled' ? {
+    status: 'success',
+    exitCode: 0,
+    stdout: '',
+    stderr: '',
+    output: '',
+    durationMs: 0,
+    diagnostics: []
+  } : null;
+  
+  const finishedAt = new Date();
+  
+  // Estimate resource usage, CPU time is what the simulation itself used
+  const outputBytes = Buffer.byteLength(output.stdout) + Buffer.byteLength(output.stderr);
+  const metrics = result.status === 'cancelled' ? null : {
+    wallTimeMs: finishedAt - startedAt,
+    cpuTimeMs: Math.round((cpuUsage.user + cpuUsage.system) / 1000),
+    peakMemoryBytes: MOCK_BASE_MEMORY_BYTES + Buffer.byteLength(code || '') + Buffer.byteLength(input || '') + outputBytes,
+    outputBytes
+  };
+  
+  return {
+    ...result,
+    ...output,
+    compile,
+    languageOptions: languageOptions ? describeLanguageOptions(languageOptions) : null,
+    artifacts: [],
+    artifactsTruncated: false,
+    metrics,
+    startedAt: startedAt.toISOString(),
+    finishedAt: finishedAt.toISOString(),
+    durationMs: finishedAt - startedAt
+  };
+}
+
+/**
+ * Replace reads of arguments and environment variables with their values
+ * The simulation can't run code, so sys.argv[n], process.argv[n], os.getenv("NAME"),
+ * os.environ["NAME"], os.environ.get("NAME") and process.env.NAME become literals
+ * @param {string} code - Code of the entry point
+ * @param {string} entryPoint - Path of the entry point, the first argument of Python programs
+ * @param {Array<string>} args - Command-line arguments
+ * @param {Object} env - Environment variables
+ * @returns {string} - Code with the reads replaced
+ */
+function substituteArgumentsAndEnvironment(code, entryPoint, args, env) {
+  const pythonArgv = [entryPoint, ...args];
+  const nodeArgv = ['node', entryPoint, ...args];
+  const literal = (value, missing) => value === undefined ? missing : JSON.stringify(value);
+
+  return code
+    .replace(/sys\.argv\[(\d+)\]/g, (match, index) => literal(pythonArgv[index], match))
+    .replace(/process\.argv\[(\d+)\]/g, (match, index) => literal(nodeArgv[index], 'undefined'))
+    .replace(/os\.(?:getenv|environ\.get)\(\s*["'](\w+)["']\s*\)/g, (match, name) => literal(env[name], 'None'))
+    .replace(/os\.environ\[\s*["'](\w+)["']\s*\]/g, (match, name) => literal(env[name], match))
+    .replace(/process\.env(?:\.(\w+)|\[\s*["'](\w+)["']\s*\])/g, (match, dotName, bracketName) => literal(env[dotName || bracketName], 'undefined'));
+}
+
+/**
+ * Check the health of the mock backend, which needs nothing external
+ * @returns {Promise<Object>} - Always reachable
+ */
+export async function checkHealth() {
+  return { reachable: true };
+}
+
+/**
+ * Simulate code execution for a language
+ * @param {string} code - The code to execute
+ * @param {string} language - The programming language
+ * @param {string} input - Standard input for the program
+ * @param {string} executionId - ID of the execution
+ * @param {Object} options - Execution options with files, entryPoint, signal and stdin
  * @returns {Promise<Object>} - Execution result
  */
-export async function executeCode(code, language, input = '') {
-  const executionId = uuidv4();
+async function runMockExecution(code, language, input, executionId, options) {
   console.log(`Mock executing ${language} code with ID: ${executionId}`);
   console.log(`Input provided: ${input ? 'Yes' : 'No'}`);
   
+  // Temp directory for this execution
+  const tempDir = path.join(__dirname, '..', 'temp', executionId);
+  
   try {
-    // Get language configuration
-    const config = languageConfigs[language.toLowerCase()];
-    if (!config) {
-      throw new Error(`Unsupported language: ${language}`);
-    }
+    // Get language definition, aliases are simulated like the language itself
+    const config = getExecutableLanguage(language);
+    language = config.id;
     
-    // Create temp directory for this execution
-    const tempDir = path.join(__dirname, '..', 'temp', executionId);
     await fs.mkdir(tempDir, { recursive: true });
     
-    // Determine filename based on language
-    let filename;
-    if (language.toLowerCase() === 'java') {
-      // For Java, we need to extract the class name or use Main.java
-      const classNameMatch = code.match(/public\s+class\s+(\w+)/);
-      const className = classNameMatch ? classNameMatch[1] : 'Main';
-      filename = `${className}.java`;
-    } else {
-      filename = config.filename;
-    }
+    // Write the project files, a single code string becomes one file
+    const { files, entryPoint } = getProjectFiles(code, config, options);
+    console.log(`Mock: Writing ${files.length} file(s), entry point: ${entryPoint}`);
+    await writeSourceFiles(tempDir, files);
     
-    console.log(`Mock: Writing code to file: ${filename}`);
+    // Only the entry point is simulated
+    code = getFileText(files.find(file => file.path === entryPoint));
+    code = substituteArgumentsAndEnvironment(code, entryPoint, options.args || [], options.env || {});
     
-    // Write code to file
-    const filePath = path.join(tempDir, filename);
-    await fs.writeFile(filePath, code);
+    // The mock can't react to input, so interactive runs use everything sent until EOF
+    if (options.stdin) {
+      const stdin = await readInteractiveStdin(options.stdin, getExecutionLimits(config, options.limits).timeoutMs, options.signal);
+      if (stdin === null) {
+        const cancelled = Boolean(options.signal && options.signal.aborted);
+        return {
+          executionId,
+          status: cancelled ? 'cancelled' : 'timeout',
+          output: cancelled ? '' : 'Execution timed out waiting for input',
+          exitCode: null
+        };
+      }
+      input = stdin;
+    }
     
     // Write input to file if provided
     if (input) {
       console.log('Mock: Writing input to file');
-      await fs.writeFile(path.join(tempDir, 'input.txt'), input);
+      await fs.writeFile(path.join(tempDir, STDIN_FILENAME), input);
     }
     
-    // Simulate execution delay
-    await new Promise(resolve => setTimeout(resolve, 1000));
+    // Simulate execution delay, cut short when the execution is cancelled
+    if (await simulateDelay(1000, options.signal)) {
+      console.log(`Mock: Execution ${executionId} cancelled`);
+      return {
+        executionId,
+        status: 'cancelled',
+        output: '',
+        exitCode: null
+      };
+    }
     
     // DIRECT PATCH for Python input handling - using a simpler, more reliable approach
     if (language.toLowerCase() === 'python') {
@@ -592,9 +719,78 @@ export async function executeCode(code, language, input = '') {
       output: `Mock execution error: ${error.message}`,
       exitCode: 1
     };
+  } finally {
+    try {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    } catch (cleanupError) {
+      console.error('Error cleaning up temp directory:', cleanupError);
+    }
   }
 }
 
+/**
+ * Read the live stdin of an interactive execution until the client sends EOF
+ * @param {Readable} stdin - Stdin stream
+ * @param {number} timeoutMs - Wall-clock limit of the execution
+ * @param {AbortSignal} signal - Stops reading when aborted
+ * @returns {Promise<string|null>} - The input, or null if the limit passed or the execution was cancelled
+ */
+function readInteractiveStdin(stdin, timeoutMs, signal) {
+  return new Promise(resolve => {
+    const chunks = [];
+    
+    const finish = (value) => {
+      clearTimeout(timer);
+      stdin.off('data', onData);
+      stdin.off('end', onEnd);
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      resolve(value);
+    };
+    // Decoded at the end, a character may be split across chunks
+    const onData = (chunk) => chunks.push(Buffer.from(chunk));
+    const onEnd = () => finish(Buffer.concat(chunks).toString());
+    const onAbort = () => finish(null);
+    const timer = setTimeout(() => finish(null), timeoutMs);
+    
+    stdin.on('data', onData);
+    stdin.on('end', onEnd);
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+}
+
+/**
+ * Wait for the simulated run time of an execution
+ * @param {number} ms - Delay in ms
+ * @param {AbortSignal} signal - Ends the wait early when aborted
+ * @returns {Promise<boolean>} - True if the execution was cancelled
+ */
+function simulateDelay(ms, signal) {
+  if (signal && signal.aborted) {
+    return Promise.resolve(true);
+  }
+
+  return new Promise(resolve => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve(true);
+    };
+    const timer = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      resolve(false);
+    }, ms);
+
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+}
+
 /**
  * Mock JavaScript execution with input handling
  * @param {string} code - JavaScript code
@@ -8,6 +8,14 @@ import { v4 as uuidv4 } from 'uuid';
 // Store active terminal sessions
 const activeSessions = new Map();
 
+/**
+ * Check the health of the mock terminal, which needs nothing external
+ * @returns {Promise<Object>} - Always reachable
+ */
+export async function checkHealth() {
+  return { reachable: true };
+}
+
 /**
  * Setup terminal WebSocket connection
  * @param {Object} socket - Socket.io socket
@@ -0,0 +1,89 @@
+/**
+ * Pattern matcher
+ * Matches regular expressions from requests in a worker thread, so a pattern
+ * that backtracks catastrophically can be stopped instead of blocking the
+ * server. Matches run one at a time; a worker that runs past the timeout is
+ * terminated and replaced for the next match.
+ */
+import { Worker } from 'worker_threads';
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+// Longest a single match may take in ms
+const PATTERN_TIMEOUT_MS = parseInt(process.env.PATTERN_TIMEOUT_MS, 10) || 1000;
+
+// Worker running the matches, started on first use
+let worker = null;
+
+// Tail of the queue of matches
+let queue = Promise.resolve();
+
+/**
+ * Test whether a pattern matches a text
+ * @param {string} pattern - Regular expression source
+ * @param {string} flags - Regular expression flags
+ * @param {string} text - Text to test
+ * @returns {Promise<boolean>} - Whether the pattern matches
+ * @throws {Error} - With code PATTERN_TIMEOUT if the match takes longer than PATTERN_TIMEOUT_MS
+ */
+export function matchPattern(pattern, flags, text) {
+  const match = queue.then(() => runMatch(pattern, flags, text));
+  queue = match.catch(() => {});
+  return match;
+}
+
+/**
+ * Run one match in the worker
+ * @param {string} pattern - Regular expression source
+ * @param {string} flags - Regular expression flags
+ * @param {string} text - Text to test
+ * @returns {Promise<boolean>} - Whether the pattern matches
+ */
+function runMatch(pattern, flags, text) {
+  if (!worker) {
+    worker = new Worker(new URL('./pattern-worker.js', import.meta.url));
+    // An idle worker must not keep the process alive
+    worker.unref();
+  }
+
+  const current = worker;
+
+  return new Promise((resolve, reject) => {
+    const finish = () => {
+      clearTimeout(timer);
+      current.off('message', onMessage);
+      current.off('error', onError);
+    };
+
+    const onMessage = message => {
+      finish();
+      if (message.error) {
+        reject(new Error(message.error));
+      } else {
+        resolve(message.matched);
+      }
+    };
+
+    const onError = error => {
+      finish();
+      worker = null;
+      reject(error);
+    };
+
+    const timer = setTimeout(() => {
+      finish();
+      worker = null;
+      current.terminate();
+
+      const error = new Error(`The expected output pattern took longer than ${PATTERN_TIMEOUT_MS}ms to match`);
+      error.code = 'PATTERN_TIMEOUT';
+      reject(error);
+    }, PATTERN_TIMEOUT_MS);
+
+    current.on('message', onMessage);
+    current.on('error', onError);
+    current.postMessage({ pattern, flags, text });
+  });
+}
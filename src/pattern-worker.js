@@ -0,0 +1,14 @@
+/**
+ * Pattern worker
+ * Worker thread of the pattern matcher, answers each match request with
+ * whether the pattern matched
+ */
+import { parentPort } from 'worker_threads';
+
+parentPort.on('message', ({ pattern, flags, text }) => {
+  try {
+    parentPort.postMessage({ matched: new RegExp(pattern, flags).test(text) });
+  } catch (error) {
+    parentPort.postMessage({ error: error.message });
+  }
+});
@@ -0,0 +1,235 @@
+/**
+ * Piston compatibility
+ * Translates between Piston v2 execute requests and executions: runtime
+ * lookup, file decoding, limits and the run/compile stage format of results
+ */
+import os from 'os';
+import { getLanguage, getLanguages, getDefaultFilename } from './language-registry.js';
+import { getExecutionLimits } from './execution-limits.js';
+import { validateSourceFiles, validateArguments } from './workspace.js';
+
+// Encodings Piston accepts for file content
+const FILE_ENCODINGS = ['utf8', 'base64', 'hex'];
+
+// Signal names by number, e.g. 9 -> SIGKILL
+const SIGNAL_NAMES = Object.fromEntries(Object.entries(os.constants.signals).map(([name, number]) => [number, name]));
+
+// Piston stage statuses by execution status
+const STAGE_STATUSES = {
+  timeout: 'TO',
+  output_limit_exceeded: 'OL',
+  memory_exceeded: 'SG',
+  error: 'RE',
+  cancelled: 'XX'
+};
+
+/**
+ * Get the runtimes in Piston format
+ * @returns {Array<Object>} - language, version and aliases of every executable language
+ */
+export function getRuntimes() {
+  return getLanguages()
+    .filter(language => language.run)
+    .map(language => ({
+      language: language.id,
+      version: String(language.version || ''),
+      aliases: language.aliases
+    }));
+}
+
+/**
+ * Validate a Piston execute request and convert it to execution options
+ * @param {Object} body - Request body
+ * @returns {Object} - language, input and options for executeCode
+ * @throws {Error} - With a message in Piston's wording if the request is invalid
+ */
+export function parseExecuteRequest(body) {
+  const request = body || {};
+
+  if (typeof request.language !== 'string' || !request.language) {
+    throw new Error('language is required as a string');
+  }
+
+  const language = getLanguage(request.language);
+  if (!language || !language.run || !matchesVersion(language, request.version)) {
+    throw new Error(`${request.language}-${request.version} runtime is unknown`);
+  }
+
+  if (!Array.isArray(request.files) || request.files.length === 0) {
+    throw new Error('files is required as an array');
+  }
+
+  const files = request.files.map((file, index) => decodeFile(file, index, language));
+  validateSourceFiles(files);
+
+  if (request.stdin !== undefined && typeof request.stdin !== 'string') {
+    throw new Error('stdin must be a string');
+  }
+
+  const args = request.args || [];
+  validateArguments(args);
+
+  return {
+    language,
+    input: request.stdin || '',
+    options: {
+      files,
+      entryPoint: files[0].path,
+      args,
+      limits: getRequestLimits(language, request)
+    }
+  };
+}
+
+/**
+ * Convert an execution result to a Piston response
+ * @param {Object} language - Language definition
+ * @param {Object} result - Execution result
+ * @returns {Object} - language, version, run and, for compiled languages, compile
+ */
+export function formatExecuteResponse(language, result) {
+  const response = {
+    language: language.id,
+    version: String(language.version || '')
+  };
+
+  if (result.compile) {
+    response.compile = formatStage(result.compile, null);
+  }
+
+  // Programs that didn't compile have no run stage
+  if (result.status !== 'compile_error') {
+    response.run = formatStage(result, result.metrics);
+  }
+
+  return response;
+}
+
+/**
+ * Check whether a requested version matches a language's version
+ * A missing version or `*` matches any, otherwise either has to be a prefix of the other
+ * @param {Object} language - Language definition
+ * @param {string} version - Requested version
+ * @returns {boolean} - True if the language serves the version
+ */
+function matchesVersion(language, version) {
+  if (version === undefined || version === null || version === '*') {
+    return true;
+  }
+
+  const available = String(language.version || '');
+  const requested = String(version);
+  return available.startsWith(requested) || requested.startsWith(available);
+}
+
+/**
+ * Decode a Piston file into a project file
+ * Encoded files keep their bytes as a Buffer, they may not be UTF-8 text
+ * @param {Object} file - File with name, content and encoding
+ * @param {number} index - Position of the file, the first one is the entry point
+ * @param {Object} language - Language definition
+ * @returns {Object} - Project file with path and content (string, or Buffer for encoded files)
+ * @throws {Error} - If the content is missing or the encoding is unknown
+ */
+function decodeFile(file, index, language) {
+  if (!file || typeof file.content !== 'string') {
+    throw new Error(`files[${index}].content is required as a string`);
+  }
+
+  const encoding = file.encoding || 'utf8';
+  if (!FILE_ENCODINGS.includes(encoding)) {
+    throw new Error(`files[${index}].encoding must be one of ${FILE_ENCODINGS.join(', ')}`);
+  }
+
+  const content = encoding === 'utf8' ? file.content : Buffer.from(file.content, encoding);
+  let name = file.name;
+  if (!name) {
+    name = index === 0 ? getDefaultFilename(language, content.toString('utf8')) : `file${index}.code`;
+  }
+
+  return { path: name, content };
+}
+
+/**
+ * Get the limits a request asks for, which can't exceed the configured ones
+ * Piston has separate compile and run memory limits while an execution has
+ * one for both phases, so the lower of both applies
+ * @param {Object} language - Language definition
+ * @param {Object} request - Request with compile_timeout, run_timeout, compile_memory_limit and run_memory_limit
+ * @returns {Object} - timeoutMs, compileTimeoutMs and memoryMb overrides
+ * @throws {Error} - If a limit is invalid or above the configured limit
+ */
+function getRequestLimits(language, request) {
+  const configured = getExecutionLimits(language);
+  const memoryLimitBytes = configured.memoryMb * 1024 * 1024;
+
+  const checks = [
+    ['compile_timeout', configured.compileTimeoutMs],
+    ['run_timeout', configured.timeoutMs],
+    ['compile_memory_limit', memoryLimitBytes],
+    ['run_memory_limit', memoryLimitBytes]
+  ];
+
+  const values = {};
+  for (const [field, limit] of checks) {
+    const value = request[field];
+    // -1 means no limit beyond the configured one
+    if (value === undefined || value === null || value === -1) {
+      continue;
+    }
+
+    if (typeof value !== 'number' || !Number.isInteger(value) || value <= 0) {
+      throw new Error(`${field} must be a positive integer`);
+    }
+
+    if (value > limit) {
+      throw new Error(`${field} cannot exceed the configured limit of ${limit}`);
+    }
+
+    values[field] = value;
+  }
+
+  const memoryLimits = [values.compile_memory_limit, values.run_memory_limit].filter(Boolean);
+
+  return {
+    compileTimeoutMs: values.compile_timeout,
+    timeoutMs: values.run_timeout,
+    memoryMb: memoryLimits.length > 0 ? Math.max(1, Math.floor(Math.min(...memoryLimits) / (1024 * 1024))) : undefined
+  };
+}
+
+/**
+ * Convert a compile or run phase to a Piston stage
+ * @param {Object} phase - Execution result or compile result
+ * @param {Object} metrics - Resource usage of the phase, null if not measured
+ * @returns {Object} - stdout, stderr, output, code, signal, message, status and resource usage
+ */
+function formatStage(phase, metrics) {
+  const exitCode = typeof phase.exitCode === 'number' ? phase.exitCode : null;
+  const signal = exitCode !== null && exitCode > 128 ? SIGNAL_NAMES[exitCode - 128] || null : null;
+  const status = STAGE_STATUSES[phase.status] || null;
+
+  let message = null;
+  if (phase.status === 'timeout') {
+    message = 'Time limit exceeded';
+  } else if (phase.status === 'output_limit_exceeded') {
+    message = 'Output limit exceeded';
+  } else if (phase.status === 'memory_exceeded') {
+    message = 'Memory limit exceeded';
+  } else if (phase.status === 'cancelled') {
+    message = 'Execution was cancelled';
+  }
+
+  return {
+    stdout: phase.stdout || '',
+    stderr: phase.stderr || '',
+    output: phase.output || '',
+    code: signal ? null : exitCode,
+    signal,
+    message,
+    status: signal && status === 'RE' ? 'SG' : status,
+    cpu_time: metrics ? metrics.cpuTimeMs : null,
+    wall_time: metrics ? metrics.wallTimeMs : (phase.durationMs ?? null),
+    memory: metrics ? metrics.peakMemoryBytes : null
+  };
+}
@@ -0,0 +1,58 @@
+/**
+ * Admin routes for inspecting the execution service
+ */
+import express from 'express';
+import dotenv from 'dotenv';
+import { getPoolStats } from '../container-pool.js';
+import { getQueueStats } from '../execution-queue.js';
+
+// Load environment variables
+dotenv.config();
+
+const router = express.Router();
+
+// Key required in the X-Admin-Key header, admin routes are disabled without one
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY;
+
+/**
+ * Middleware to restrict a route to admins
+ */
+const requireAdmin = (req, res, next) => {
+  if (!ADMIN_API_KEY) {
+    return res.status(403).json({ error: 'Admin API is disabled' });
+  }
+
+  if (req.headers['x-admin-key'] !== ADMIN_API_KEY) {
+    return res.status(401).json({ error: 'Invalid admin key' });
+  }
+
+  next();
+};
+
+/**
+ * Get warm container pool statistics
+ * GET /api/admin/pool
+ */
+router.get('/admin/pool', requireAdmin, (req, res) => {
+  try {
+    res.status(200).json({ pools: getPoolStats() });
+  } catch (error) {
+    console.error('Error getting pool statistics:', error);
+    res.status(500).json({ error: 'Failed to get pool statistics' });
+  }
+});
+
+/**
+ * Get execution queue statistics
+ * GET /api/admin/queue
+ */
+router.get('/admin/queue', requireAdmin, (req, res) => {
+  try {
+    res.status(200).json(getQueueStats());
+  } catch (error) {
+    console.error('Error getting queue statistics:', error);
+    res.status(500).json({ error: 'Failed to get queue statistics' });
+  }
+});
+
+export default router;
@@ -0,0 +1,461 @@
+/**
+ * API routes for code execution
+ */
+import express from 'express';
+import { v4 as uuidv4 } from 'uuid';
+import { PassThrough } from 'stream';
+import { executeCode } from '../execution-backend.js';
+import { createExecutionChannel } from '../execution-events.js';
+import { validateSourceFiles, validateArguments } from '../workspace.js';
+import { validateEnvironment } from '../security-profile.js';
+import { getLanguage } from '../language-registry.js';
+import { resolveLanguageOptions } from '../language-options.js';
+import { submitExecution } from '../execution-queue.js';
+import { trackExecution, untrackExecution, cancelExecution, writeExecutionStdin } from '../execution-control.js';
+import { verifyToken } from '../user-service.js';
+import { validateTestCases, runTestCases } from '../test-runner.js';
+import { recordExecution, recordTestRun } from '../execution-history.js';
+import { getUserExecutions, getExecution } from '../db-service.js';
+import { getArtifactPath } from '../artifacts.js';
+import { createCancelledResult } from '../execution-result.js';
+
+const router = express.Router();
+
+/**
+ * Check the languageOptions of a request against the language's allowlist
+ * Unknown languages are left to the execution, which reports them
+ * @param {string} language - Language ID or alias
+ * @param {Object} languageOptions - Requested options (optional)
+ * @throws {Error} - If an option or value isn't allowed
+ */
+function validateLanguageOptions(language, languageOptions) {
+  const definition = getLanguage(language);
+  if (definition && languageOptions !== undefined) {
+    resolveLanguageOptions(definition, languageOptions);
+  }
+}
+
+// Page size of the execution history
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Middleware to identify the user, executions are allowed for anonymous users too
+ */
+const identifyUser = async (req, res, next) => {
+  req.user = null;
+
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    try {
+      req.user = await verifyToken(authHeader.split(' ')[1]);
+    } catch (tokenError) {
+      console.warn('Invalid token, continuing as anonymous user');
+    }
+  }
+
+  next();
+};
+
+/**
+ * Get the key the per-user queue limits apply to
+ * @param {Object} req - Express request
+ * @returns {string} - User ID for signed in users, IP address otherwise
+ */
+function getQueueUserId(req) {
+  return req.user ? `user:${req.user.id}` : `ip:${req.ip}`;
+}
+
+/**
+ * Execute code
+ * POST /api/execute
+ * Body: { code, language, input, async, interactive, files, entryPoint, args, env, languageOptions }
+ *
+ * Multi-file projects pass `files` ([{ path, content }]) instead of `code`,
+ * with `entryPoint` naming the file to run (defaults to the first file).
+ *
+ * `args` ([string]) are passed to the program as command-line arguments and
+ * `env` ({ NAME: value }) as environment variables, except for denied names
+ * such as PATH or LD_PRELOAD.
+ *
+ * `languageOptions` picks compiler and interpreter options from the language's
+ * allowlist, e.g. { standard: 'c++17', warnings: ['all'] }, and is echoed in
+ * the result with the flags it added.
+ *
+ * By default the request waits for the execution to finish and returns the result.
+ * With `async: true` it responds immediately with an executionId; clients join the
+ * execution room with `join_execution` and receive `execution_output` chunks while
+ * the program runs, followed by a final `execution_result`.
+ *
+ * With `interactive: true` (implies async) the program's stdin stays open: clients
+ * send input with `execution_stdin` events ({ executionId, data, eof }) while the
+ * program runs, `input` is written first if given. The usual limits still apply.
+ *
+ * Executions go through the execution queue. While an execution waits for a free
+ * slot the room receives `execution_queued` with its position, then `execution_started`.
+ * Responds with 429 when the queue is full.
+ */
+router.post('/execute', identifyUser, async (req, res) => {
+  try {
+    const { code, language, input, files, entryPoint, args, env, languageOptions } = req.body;
+    const interactive = req.body.interactive === true;
+    const runAsync = req.body.async === true || interactive;
+
+    if ((!code && !files) || !language) {
+      return res.status(400).json({ error: 'Code (or files) and language are required' });
+    }
+
+    try {
+      if (files) {
+        validateSourceFiles(files, entryPoint);
+      }
+      if (args !== undefined) {
+        validateArguments(args);
+      }
+      if (env !== undefined) {
+        validateEnvironment(env);
+      }
+      validateLanguageOptions(language, languageOptions);
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    const executionId = uuidv4();
+    const channel = createExecutionChannel(req.app.get('io'), executionId);
+
+    console.log(`Executing ${language} code with input: ${input ? 'provided' : 'none'}`);
+    if (files) {
+      console.log(`Project files: ${files.map(file => file.path).join(', ')}`);
+    } else {
+      console.log('Code snippet:', code.substring(0, 50) + (code.length > 50 ? '...' : ''));
+    }
+
+    // Live stdin, buffered until the program starts
+    const stdin = interactive ? new PassThrough() : null;
+    const signal = trackExecution(executionId, { stdin, userId: req.user ? req.user.id : null });
+
+    // The input of the request counts towards the stdin limit of interactive executions
+    if (stdin && input) {
+      const inputError = writeExecutionStdin(executionId, input, false, req.user ? req.user.id : null);
+      if (inputError) {
+        untrackExecution(executionId);
+        return res.status(400).json({ error: inputError });
+      }
+    }
+
+    let queued;
+    try {
+      // Interactive input was already written to the stdin stream
+      queued = submitExecution(() => executeCode(code, language, interactive ? '' : input, {
+        executionId,
+        onOutput: channel.emitOutput,
+        files,
+        entryPoint,
+        args,
+        env,
+        languageOptions,
+        signal,
+        stdin,
+        collectArtifacts: true,
+        userId: req.user ? req.user.id : null
+      }), {
+        userId: getQueueUserId(req),
+        lane: 'playground',
+        onPosition: channel.emitQueued,
+        onStart: channel.emitStarted,
+        signal
+      });
+    } catch (queueError) {
+      untrackExecution(executionId);
+      if (queueError.code === 'QUEUE_FULL') {
+        return res.status(429).json({ error: queueError.message });
+      }
+      throw queueError;
+    }
+
+    const execution = queued.result
+      .catch(error => {
+        // Cancelled while waiting in the queue
+        if (error.code === 'EXECUTION_CANCELLED') {
+          return createCancelledResult(executionId, new Date());
+        }
+        throw error;
+      })
+      .finally(() => untrackExecution(executionId));
+
+    // Store the finished execution without delaying its result, failures are handled below
+    execution.then(result => recordExecution({
+      executionId,
+      userId: req.user ? req.user.id : null,
+      language,
+      code,
+      files,
+      entryPoint,
+      input,
+      interactive
+    }, result), () => {});
+
+    if (runAsync) {
+      // Respond right away, the result is delivered over WebSocket
+      res.status(202).json({
+        executionId,
+        message: queued.position > 0 ? 'Code execution queued' : 'Code execution started',
+        queuePosition: queued.position
+      });
+
+      try {
+        channel.emitResult(await execution);
+      } catch (execError) {
+        console.error('Error during code execution:', execError);
+        channel.emitResult({
+          executionId,
+          status: 'error',
+          stdout: '',
+          stderr: execError.message,
+          output: execError.message,
+          events: [{ stream: 'stderr', data: execError.message, time: 0 }],
+          exitCode: 1,
+          outputLimitExceeded: false,
+          compile: null,
+          languageOptions: null,
+          artifacts: [],
+          artifactsTruncated: false,
+          metrics: null
+        });
+      }
+      return;
+    }
+
+    // Execute code with input and get result immediately
+    try {
+      const result = await execution;
+
+      // Send response with execution ID and result
+      res.status(200).json({
+        executionId,
+        message: 'Code execution completed',
+        result: result
+      });
+
+      // Also emit via WebSocket for clients that are listening
+      channel.emitResult(result);
+    } catch (execError) {
+      console.error('Error during code execution:', execError);
+      // Send error response
+      return res.status(500).json({
+        error: 'Code execution failed',
+        message: execError.message,
+        executionId
+      });
+    }
+  } catch (error) {
+    console.error('Error processing execute request:', error);
+    res.status(500).json({ error: 'Failed to process execute request' });
+  }
+});
+
+/**
+ * Run code against test cases
+ * POST /api/execute/tests
+ * Body: { code, language, files, entryPoint, languageOptions, testCases, comparison, checker }
+ *
+ * `testCases` is a list of { input, expectedOutput }. The program runs once per
+ * case and its stdout is compared to the expected output according to
+ * `comparison` ({ mode, tolerance, flags }): exact, trimmed (default), numeric
+ * with a tolerance, or regex with the expected output as the pattern. A
+ * `checker` ({ language, code }) judges the output instead, see checker.js.
+ *
+ * Each case gets a verdict (accepted, wrong_answer, runtime_error,
+ * time_limit_exceeded, memory_limit_exceeded, output_limit_exceeded,
+ * compile_error or cancelled) with the actual output, a line diff for wrong
+ * answers and its timing. The whole run takes one slot of the execution queue
+ * and can be cancelled with its executionId. Finished runs are stored in the
+ * execution history.
+ */
+router.post('/execute/tests', identifyUser, async (req, res) => {
+  try {
+    const { code, language, files, entryPoint, languageOptions, testCases, comparison, checker } = req.body;
+
+    if ((!code && !files) || !language) {
+      return res.status(400).json({ error: 'Code (or files) and language are required' });
+    }
+
+    try {
+      if (files) {
+        validateSourceFiles(files, entryPoint);
+      }
+      validateLanguageOptions(language, languageOptions);
+      validateTestCases(testCases, comparison, checker);
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    const executionId = uuidv4();
+    const startedAt = new Date();
+    console.log(`Running ${testCases.length} test case(s) for ${language} code`);
+
+    const signal = trackExecution(executionId, { userId: req.user ? req.user.id : null });
+
+    let queued;
+    try {
+      queued = submitExecution(() => runTestCases(code, language, testCases, {
+        comparison,
+        checker,
+        files,
+        entryPoint,
+        languageOptions,
+        signal
+      }), {
+        userId: getQueueUserId(req),
+        lane: 'playground',
+        signal
+      });
+    } catch (queueError) {
+      untrackExecution(executionId);
+      if (queueError.code === 'QUEUE_FULL') {
+        return res.status(429).json({ error: queueError.message });
+      }
+      throw queueError;
+    }
+
+    try {
+      const result = await queued.result;
+
+      res.status(200).json({
+        executionId,
+        message: 'Test run completed',
+        result
+      });
+
+      recordTestRun({
+        executionId,
+        userId: req.user ? req.user.id : null,
+        language,
+        code,
+        files,
+        entryPoint,
+        startedAt
+      }, result);
+    } catch (runError) {
+      if (runError.code === 'EXECUTION_CANCELLED') {
+        return res.status(409).json({ error: runError.message, executionId });
+      }
+
+      console.error('Error during test run:', runError);
+      res.status(500).json({
+        error: 'Test run failed',
+        message: runError.message,
+        executionId
+      });
+    } finally {
+      untrackExecution(executionId);
+    }
+  } catch (error) {
+    console.error('Error processing test run request:', error);
+    res.status(500).json({ error: 'Failed to process test run request' });
+  }
+});
+
+/**
+ * Cancel a queued or running execution
+ * POST /api/executions/:id/cancel
+ *
+ * The execution's container is killed and its room receives an
+ * `execution_result` with status `cancelled`. Executions of signed in users
+ * can only be cancelled by them.
+ */
+router.post('/executions/:id/cancel', identifyUser, (req, res) => {
+  try {
+    if (!cancelExecution(req.params.id, req.user ? req.user.id : null)) {
+      return res.status(404).json({ error: 'Execution not found or already finished' });
+    }
+
+    res.status(202).json({
+      executionId: req.params.id,
+      message: 'Cancellation requested'
+    });
+  } catch (error) {
+    console.error('Error cancelling execution:', error);
+    res.status(500).json({ error: 'Failed to cancel execution' });
+  }
+});
+
+/**
+ * Get the execution history of the signed in user, newest first
+ * GET /api/executions?page=1&limit=20
+ *
+ * Listed executions leave out input and output, get them with GET /api/executions/:id.
+ */
+router.get('/executions', identifyUser, async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    const { executions, total } = await getUserExecutions(req.user.id, { page, limit });
+
+    res.status(200).json({
+      executions,
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    });
+  } catch (error) {
+    console.error('Error getting execution history:', error);
+    res.status(500).json({ error: 'Failed to get execution history' });
+  }
+});
+
+/**
+ * Get a stored execution with its input and result
+ * GET /api/executions/:id
+ *
+ * Executions of signed in users are only visible to them, anonymous ones to
+ * anyone with the execution ID.
+ */
+router.get('/executions/:id', identifyUser, async (req, res) => {
+  try {
+    const execution = await getExecution(req.params.id);
+
+    if (!execution || (execution.userId && (!req.user || req.user.id !== execution.userId))) {
+      return res.status(404).json({ error: 'Execution not found' });
+    }
+
+    res.status(200).json(execution);
+  } catch (error) {
+    console.error('Error getting execution:', error);
+    res.status(500).json({ error: 'Failed to get execution' });
+  }
+});
+
+/**
+ * Download a file the program wrote to its outputs directory
+ * GET /api/executions/:id/artifacts/:name
+ *
+ * Artifacts are listed in the execution result and kept for
+ * ARTIFACT_TTL_MINUTES. Like executions, artifacts of signed in users are only
+ * available to them. They're always sent as attachments so files like HTML
+ * aren't rendered on the API's origin.
+ */
+router.get('/executions/:id/artifacts/:name', identifyUser, (req, res) => {
+  const artifactPath = getArtifactPath(req.params.id, req.params.name, req.user ? req.user.id : null);
+
+  if (!artifactPath) {
+    return res.status(404).json({ error: 'Artifact not found' });
+  }
+
+  res.set('X-Content-Type-Options', 'nosniff');
+  res.attachment(req.params.name);
+  res.sendFile(artifactPath, error => {
+    if (error && !res.headersSent) {
+      console.error('Error sending artifact:', error);
+      res.status(404).json({ error: 'Artifact not found' });
+    }
+  });
+});
+
+export default router;
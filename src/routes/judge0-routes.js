@@ -0,0 +1,276 @@
+/**
+ * Judge0-compatible API
+ * Mounted at /api/judge0 so tools written for Judge0 can use this backend by
+ * pointing their base URL there. Submissions run through the execution queue
+ * like any other execution; resource limit attributes of the request are
+ * ignored in favour of the configured limits.
+ */
+import express from 'express';
+import { v4 as uuidv4 } from 'uuid';
+import { executeCode } from '../execution-backend.js';
+import { submitExecution } from '../execution-queue.js';
+import { recordExecution } from '../execution-history.js';
+import { getLanguages, getLanguageByJudge0Id } from '../language-registry.js';
+import {
+  JUDGE0_STATUSES,
+  MAX_BATCH_SIZE,
+  parseSubmissionRequest,
+  createSubmission,
+  getSubmission,
+  deleteSubmission,
+  markProcessing,
+  completeSubmission,
+  failSubmission,
+  formatSubmission,
+  getJudge0LanguageName
+} from '../judge0-adapter.js';
+
+const router = express.Router();
+
+/**
+ * Check a boolean query parameter the way Judge0 does
+ * @param {string} value - Query parameter
+ * @returns {boolean} - True for "true"
+ */
+function isEnabled(value) {
+  return value === 'true';
+}
+
+/**
+ * Queue parsed submissions as one job of the execution queue
+ * The submissions run one after another, so a batch takes a single slot of the
+ * client's share of the queue and is either queued as a whole or not at all.
+ * @param {Array<Object>} requests - Parsed submission requests
+ * @param {Object} req - Express request, identifies the client for the queue limits
+ * @returns {Object} - The submissions and done, a promise settling once all finished
+ * @throws {Error} - With code QUEUE_FULL if the execution queue is full
+ */
+function startSubmissions(requests, req) {
+  const submissions = requests.map(request => createSubmission(uuidv4(), request));
+  const recordings = [];
+
+  let queued;
+  try {
+    queued = submitExecution(async () => {
+      for (const [index, submission] of submissions.entries()) {
+        const result = await runSubmission(submission, requests[index]);
+        if (result) {
+          // Recorded outside the queue slot, the next submission doesn't wait for the database
+          recordings.push(recordExecution({
+            executionId: submission.token,
+            userId: null,
+            language: requests[index].language.id,
+            code: requests[index].sourceCode,
+            input: requests[index].stdin
+          }, result));
+        }
+      }
+    }, {
+      userId: `ip:${req.ip}`,
+      lane: 'playground'
+    });
+  } catch (queueError) {
+    submissions.forEach(submission => deleteSubmission(submission.token));
+    throw queueError;
+  }
+
+  const done = queued.result
+    .catch(error => {
+      console.error('Error running Judge0 submissions:', error);
+      submissions.filter(submission => !submission.finished_at).forEach(submission => failSubmission(submission, error));
+    })
+    .then(() => Promise.all(recordings));
+
+  return { submissions, done };
+}
+
+/**
+ * Run a queued submission and store its result
+ * @param {Object} submission - Submission
+ * @param {Object} request - Parsed submission request
+ * @returns {Promise<Object|null>} - Execution result, null if the submission failed
+ */
+async function runSubmission(submission, request) {
+  try {
+    markProcessing(submission);
+    const result = await executeCode(request.sourceCode, request.language.id, request.stdin, { executionId: submission.token });
+    await completeSubmission(submission, result);
+    return result;
+  } catch (error) {
+    console.error(`Error running Judge0 submission ${submission.token}:`, error);
+    failSubmission(submission, error);
+    return null;
+  }
+}
+
+/**
+ * Create a submission
+ * POST /api/judge0/submissions?base64_encoded=false&wait=false
+ * Body: { source_code, language_id, stdin, expected_output }
+ *
+ * Responds with { token }, or with the finished submission if wait=true.
+ */
+router.post('/submissions', async (req, res) => {
+  try {
+    const base64Encoded = isEnabled(req.query.base64_encoded);
+    const request = parseSubmissionRequest(req.body, base64Encoded);
+
+    if (request.errors) {
+      return res.status(422).json(request.errors);
+    }
+
+    let started;
+    try {
+      started = startSubmissions([request], req);
+    } catch (queueError) {
+      if (queueError.code === 'QUEUE_FULL') {
+        return res.status(503).json({ error: 'queue is full' });
+      }
+      throw queueError;
+    }
+
+    const [submission] = started.submissions;
+    if (!isEnabled(req.query.wait)) {
+      return res.status(201).json({ token: submission.token });
+    }
+
+    await started.done;
+    res.status(201).json(formatSubmission(submission, req.query.fields, base64Encoded));
+  } catch (error) {
+    console.error('Error creating Judge0 submission:', error);
+    res.status(500).json({ error: 'Failed to create submission' });
+  }
+});
+
+/**
+ * Create several submissions
+ * POST /api/judge0/submissions/batch?base64_encoded=false
+ * Body: { submissions: [{ source_code, language_id, stdin, expected_output }] }
+ *
+ * Responds with one entry per submission, { token } or its validation errors.
+ * The valid submissions are queued together and run one after another; if the
+ * queue can't take them, no tokens are created and the response is 503.
+ */
+router.post('/submissions/batch', (req, res) => {
+  try {
+    const base64Encoded = isEnabled(req.query.base64_encoded);
+    const batch = req.body && req.body.submissions;
+
+    if (!Array.isArray(batch) || batch.length === 0) {
+      return res.status(422).json({ submissions: ["can't be blank"] });
+    }
+
+    if (batch.length > MAX_BATCH_SIZE) {
+      return res.status(422).json({ submissions: [`number of submissions in a batch can't exceed ${MAX_BATCH_SIZE}`] });
+    }
+
+    const requests = batch.map(attributes => parseSubmissionRequest(attributes, base64Encoded));
+    const valid = requests.filter(request => !request.errors);
+
+    let submissions = [];
+    if (valid.length > 0) {
+      try {
+        ({ submissions } = startSubmissions(valid, req));
+      } catch (queueError) {
+        if (queueError.code === 'QUEUE_FULL') {
+          return res.status(503).json({ error: 'queue is full' });
+        }
+        throw queueError;
+      }
+    }
+
+    res.status(201).json(requests.map(request => request.errors || { token: submissions[valid.indexOf(request)].token }));
+  } catch (error) {
+    console.error('Error creating Judge0 submission batch:', error);
+    res.status(500).json({ error: 'Failed to create submissions' });
+  }
+});
+
+/**
+ * Get several submissions
+ * GET /api/judge0/submissions/batch?tokens=a,b,c&base64_encoded=false&fields=stdout,status
+ *
+ * Unknown or expired tokens give null entries.
+ */
+router.get('/submissions/batch', (req, res) => {
+  const tokens = typeof req.query.tokens === 'string'
+    ? req.query.tokens.split(',').map(token => token.trim()).filter(Boolean)
+    : [];
+
+  if (tokens.length === 0) {
+    return res.status(422).json({ tokens: ["can't be blank"] });
+  }
+
+  if (tokens.length > MAX_BATCH_SIZE) {
+    return res.status(422).json({ tokens: [`number of tokens in a batch can't exceed ${MAX_BATCH_SIZE}`] });
+  }
+
+  const base64Encoded = isEnabled(req.query.base64_encoded);
+  res.json({
+    submissions: tokens.map(token => {
+      const submission = getSubmission(token);
+      return submission ? formatSubmission(submission, req.query.fields, base64Encoded) : null;
+    })
+  });
+});
+
+/**
+ * Get a submission
+ * GET /api/judge0/submissions/:token?base64_encoded=false&fields=stdout,status
+ *
+ * Submissions can be fetched for an hour after they were created.
+ */
+router.get('/submissions/:token', (req, res) => {
+  const submission = getSubmission(req.params.token);
+
+  if (!submission) {
+    return res.status(404).json({ error: 'Not Found' });
+  }
+
+  res.json(formatSubmission(submission, req.query.fields, isEnabled(req.query.base64_encoded)));
+});
+
+/**
+ * List the Judge0 languages
+ * GET /api/judge0/languages
+ */
+router.get('/languages', (req, res) => {
+  const languages = getLanguages()
+    .filter(language => language.run)
+    .flatMap(language => language.judge0Ids.map(id => ({ id, name: getJudge0LanguageName(language) })))
+    .sort((a, b) => a.id - b.id);
+
+  res.json(languages);
+});
+
+/**
+ * Get a Judge0 language
+ * GET /api/judge0/languages/:id
+ */
+router.get('/languages/:id', (req, res) => {
+  const id = Number(req.params.id);
+  const language = Number.isInteger(id) ? getLanguageByJudge0Id(id) : null;
+
+  if (!language || !language.run) {
+    return res.status(404).json({ error: 'Not Found' });
+  }
+
+  res.json({
+    id,
+    name: getJudge0LanguageName(language),
+    is_archived: false,
+    source_file: language.filename,
+    compile_cmd: language.compile,
+    run_cmd: language.run
+  });
+});
+
+/**
+ * List the Judge0 statuses
+ * GET /api/judge0/statuses
+ */
+router.get('/statuses', (req, res) => {
+  res.json(JUDGE0_STATUSES);
+});
+
+export default router;
@@ -0,0 +1,41 @@
+/**
+ * API routes for supported languages
+ */
+import express from 'express';
+import { getLanguage, getLanguages, toPublicLanguage } from '../language-registry.js';
+
+const router = express.Router();
+
+/**
+ * Get all supported languages
+ * GET /api/languages
+ */
+router.get('/languages', (req, res) => {
+  try {
+    res.status(200).json(getLanguages().map(toPublicLanguage));
+  } catch (error) {
+    console.error('Error getting languages:', error);
+    res.status(500).json({ error: 'Failed to get languages' });
+  }
+});
+
+/**
+ * Get a language by ID or alias
+ * GET /api/languages/:id
+ */
+router.get('/languages/:id', (req, res) => {
+  try {
+    const language = getLanguage(req.params.id);
+
+    if (!language) {
+      return res.status(404).json({ error: 'Language not found' });
+    }
+
+    res.status(200).json(toPublicLanguage(language));
+  } catch (error) {
+    console.error('Error getting language:', error);
+    res.status(500).json({ error: 'Failed to get language' });
+  }
+});
+
+export default router;
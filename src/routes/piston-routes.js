@@ -0,0 +1,76 @@
+/**
+ * Piston-compatible API
+ * Mounted at /api/v2 like Piston's own API, so clients written for Piston can
+ * use this backend by pointing their base URL at the server. Executions run
+ * through the execution queue like any other execution.
+ */
+import express from 'express';
+import { v4 as uuidv4 } from 'uuid';
+import { executeCode } from '../execution-backend.js';
+import { submitExecution } from '../execution-queue.js';
+import { recordExecution } from '../execution-history.js';
+import { getRuntimes, parseExecuteRequest, formatExecuteResponse } from '../piston-adapter.js';
+
+const router = express.Router();
+
+/**
+ * List the runtimes
+ * GET /api/v2/runtimes
+ */
+router.get('/runtimes', (req, res) => {
+  res.json(getRuntimes());
+});
+
+/**
+ * Execute code
+ * POST /api/v2/execute
+ * Body: { language, version, files, stdin, args, compile_timeout, run_timeout, compile_memory_limit, run_memory_limit }
+ *
+ * The first file is the entry point. Timeouts are in milliseconds and memory
+ * limits in bytes; none can exceed the configured limits.
+ */
+router.post('/execute', async (req, res) => {
+  try {
+    let request;
+    try {
+      request = parseExecuteRequest(req.body);
+    } catch (validationError) {
+      return res.status(400).json({ message: validationError.message });
+    }
+
+    const executionId = uuidv4();
+    const { language, input, options } = request;
+    console.log(`Piston execution of ${language.id} with ${options.files.length} file(s)`);
+
+    let queued;
+    try {
+      queued = submitExecution(() => executeCode('', language.id, input, { ...options, executionId }), {
+        userId: `ip:${req.ip}`,
+        lane: 'playground'
+      });
+    } catch (queueError) {
+      if (queueError.code === 'QUEUE_FULL') {
+        return res.status(429).json({ message: queueError.message });
+      }
+      throw queueError;
+    }
+
+    const result = await queued.result;
+
+    recordExecution({
+      executionId,
+      userId: null,
+      language: language.id,
+      files: options.files,
+      entryPoint: options.entryPoint,
+      input
+    }, result);
+
+    res.status(200).json(formatExecuteResponse(language, result));
+  } catch (error) {
+    console.error('Error processing Piston execute request:', error);
+    res.status(500).json({ message: 'Failed to execute code' });
+  }
+});
+
+export default router;
@@ -0,0 +1,158 @@
+/**
+ * Container security profile for code execution
+ * Global defaults from environment variables, overridable per language with
+ * the `security` block of its definition
+ */
+import fs from 'fs';
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+// Security defaults from environment variables
+const SANDBOX_USER = process.env.SANDBOX_USER || '65534:65534'; // nobody:nogroup
+const SANDBOX_TMPFS_MB = parseInt(process.env.SANDBOX_TMPFS_MB, 10) || 64; // Size of the /tmp scratch area
+const SANDBOX_NOFILE_LIMIT = parseInt(process.env.SANDBOX_NOFILE_LIMIT, 10) || 256; // Open files per process
+const SANDBOX_FILE_SIZE_MB = parseInt(process.env.SANDBOX_FILE_SIZE_MB, 10) || 16; // Largest file a program can write
+const SECCOMP_PROFILE = process.env.SECCOMP_PROFILE || null; // Path to a seccomp profile, Docker's default if unset
+
+// Environment variables programs can't set: the sandbox's own settings and variables that
+// make loaders, shells or runtimes load other code. Names ending in * match prefixes.
+const ENV_DENYLIST = [
+  'PATH', 'HOME', 'TMPDIR', 'USER', 'SHELL', 'IFS', 'ENV', 'BASH_ENV', 'PS4', 'LD_*', 'DYLD_*',
+  'NODE_OPTIONS', 'NODE_PATH', 'PYTHONPATH', 'PYTHONHOME', 'PYTHONSTARTUP', 'PYTHONINSPECT',
+  'JAVA_TOOL_OPTIONS', '_JAVA_OPTIONS', 'JDK_JAVA_OPTIONS', 'CLASSPATH', 'GOCACHE', 'GOPATH',
+  'RUBYOPT', 'RUBYLIB', 'PERL5OPT', 'PERL5LIB', 'PHPRC', 'PHP_INI_SCAN_DIR', 'MONO_*',
+  ...(process.env.EXECUTION_ENV_DENYLIST || '').split(',').map(name => name.trim()).filter(Boolean)
+];
+
+// Limits for the environment of a program
+const MAX_ENV_VARIABLES = 64;
+const MAX_ENV_LENGTH = 8192;
+const ENV_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Seccomp profile contents by path, Docker expects the profile itself rather than a path
+const seccompProfiles = new Map();
+
+/**
+ * Get the security profile of a language, falling back to the configured defaults
+ * @param {Object} language - Language definition
+ * @returns {Object} - user, readOnlyRootfs, tmpfsMb, nofileLimit, fileSizeMb, capabilities and seccompProfile
+ */
+export function getSecurityProfile(language) {
+  const security = language.security || {};
+
+  return {
+    user: security.user || SANDBOX_USER,
+    readOnlyRootfs: security.readOnlyRootfs ?? true,
+    tmpfsMb: security.tmpfsMb || SANDBOX_TMPFS_MB,
+    nofileLimit: security.nofileLimit || SANDBOX_NOFILE_LIMIT,
+    fileSizeMb: security.fileSizeMb || SANDBOX_FILE_SIZE_MB,
+    capabilities: security.capabilities || [],
+    seccompProfile: security.seccompProfile || SECCOMP_PROFILE
+  };
+}
+
+/**
+ * Get the container options applying the security profile of a language
+ * @param {Object} language - Language definition
+ * @returns {Object} - User and Env for the container config, and hostConfig to merge into HostConfig
+ * @throws {Error} - If the seccomp profile can't be read
+ */
+export function getContainerSecurityOptions(language) {
+  const profile = getSecurityProfile(language);
+
+  const securityOpt = ['no-new-privileges:true'];
+  if (profile.seccompProfile) {
+    securityOpt.push(`seccomp=${readSeccompProfile(profile.seccompProfile)}`);
+  }
+
+  return {
+    User: profile.user,
+    // Tools that write to the home directory get the scratch area instead
+    Env: ['HOME=/tmp', 'TMPDIR=/tmp'],
+    hostConfig: {
+      ReadonlyRootfs: profile.readOnlyRootfs,
+      Tmpfs: {
+        '/tmp': `rw,exec,nosuid,nodev,size=${profile.tmpfsMb}m`
+      },
+      CapDrop: ['ALL'],
+      CapAdd: profile.capabilities,
+      SecurityOpt: securityOpt,
+      Ulimits: [
+        { Name: 'nofile', Soft: profile.nofileLimit, Hard: profile.nofileLimit },
+        { Name: 'fsize', Soft: profile.fileSizeMb * 1024 * 1024, Hard: profile.fileSizeMb * 1024 * 1024 }
+      ]
+    }
+  };
+}
+
+/**
+ * Read a seccomp profile, validating that it is JSON
+ * @param {string} profilePath - Path to the profile
+ * @returns {string} - Profile content
+ * @throws {Error} - If the file can't be read or isn't valid JSON
+ */
+function readSeccompProfile(profilePath) {
+  if (!seccompProfiles.has(profilePath)) {
+    try {
+      const content = fs.readFileSync(profilePath, 'utf8');
+      seccompProfiles.set(profilePath, JSON.stringify(JSON.parse(content)));
+    } catch (error) {
+      throw new Error(`Invalid seccomp profile ${profilePath}: ${error.message}`);
+    }
+  }
+
+  return seccompProfiles.get(profilePath);
+}
+
+/**
+ * Validate the environment variables a request sets for its program
+ * @param {Object} env - Map of variable names to string values
+ * @throws {Error} - If a name is invalid or denied, a value isn't a string, or the environment is too large
+ */
+export function validateEnvironment(env) {
+  if (!env || typeof env !== 'object' || Array.isArray(env)) {
+    throw new Error('env must be an object mapping names to string values');
+  }
+
+  const entries = Object.entries(env);
+  if (entries.length > MAX_ENV_VARIABLES) {
+    throw new Error(`An execution can set at most ${MAX_ENV_VARIABLES} environment variables`);
+  }
+
+  let length = 0;
+  for (const [name, value] of entries) {
+    if (!ENV_NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid environment variable name: ${name}`);
+    }
+
+    if (isDeniedVariable(name)) {
+      throw new Error(`Environment variable ${name} is not allowed`);
+    }
+
+    if (typeof value !== 'string' || value.includes('\0')) {
+      throw new Error(`Environment variable ${name} must be a string without null characters`);
+    }
+
+    length += name.length + value.length;
+  }
+
+  if (length > MAX_ENV_LENGTH) {
+    throw new Error(`Environment variables can be at most ${MAX_ENV_LENGTH} characters long`);
+  }
+}
+
+/**
+ * Check whether an environment variable is on the denylist
+ * @param {string} name - Variable name
+ * @returns {boolean} - True if programs can't set the variable
+ */
+function isDeniedVariable(name) {
+  const upperName = name.toUpperCase();
+
+  return ENV_DENYLIST.some(denied => {
+    const pattern = denied.toUpperCase();
+    return pattern.endsWith('*') ? upperName.startsWith(pattern.slice(0, -1)) : upperName === pattern;
+  });
+}
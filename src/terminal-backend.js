@@ -0,0 +1,43 @@
+/**
+ * Terminal backend selection
+ * The backend is chosen at startup with TERMINAL_BACKEND. Every backend module
+ * implements the same interface:
+ * - setupTerminal(socket): handles the terminal events of a Socket.IO connection
+ * - checkHealth(): Promise of { reachable, ... } describing whether terminals can be opened
+ */
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+// Backend modules by name, only the selected one is loaded
+// The local sandbox runs programs, not shells, so it has no terminal backend
+const TERMINAL_BACKENDS = {
+  docker: './terminal-service.js',
+  mock: './mock-terminal-service.js'
+};
+
+const TERMINAL_BACKEND = (process.env.TERMINAL_BACKEND || 'mock').toLowerCase();
+
+if (!TERMINAL_BACKENDS[TERMINAL_BACKEND]) {
+  throw new Error(`Unknown TERMINAL_BACKEND "${TERMINAL_BACKEND}", expected one of: ${Object.keys(TERMINAL_BACKENDS).join(', ')}`);
+}
+
+const backend = await import(TERMINAL_BACKENDS[TERMINAL_BACKEND]);
+console.log(`Using the ${TERMINAL_BACKEND} terminal backend`);
+
+/**
+ * Set up the terminal of a Socket.IO connection with the configured backend
+ * @param {Object} socket - Socket.IO socket
+ */
+export function setupTerminal(socket) {
+  backend.setupTerminal(socket);
+}
+
+/**
+ * Check whether the configured terminal backend is reachable
+ * @returns {Promise<Object>} - Backend name, reachable and backend specific details
+ */
+export async function checkTerminalBackend() {
+  return { name: TERMINAL_BACKEND, ...(await backend.checkHealth()) };
+}
@@ -1,5 +1,6 @@
 import Docker from 'dockerode';
 import { v4 as uuidv4 } from 'uuid';
+import { getLanguage } from './language-registry.js';
 
 // Initialize Docker client with socket path from environment variables
 const dockerSocketPath = process.env.DOCKER_SOCKET || '/var/run/docker.sock';
@@ -12,6 +13,19 @@ const docker = new Docker({
 // Store active terminal sessions
 const activeSessions = new Map();
 
+/**
+ * Check whether the Docker daemon is reachable
+ * @returns {Promise<Object>} - reachable, and the Docker version or the connection error
+ */
+export async function checkHealth() {
+  try {
+    const version = await docker.version();
+    return { reachable: true, version: version.Version };
+  } catch (error) {
+    return { reachable: false, error: error.message };
+  }
+}
+
 /**
  * Setup terminal WebSocket connection
  * @param {Object} socket - Socket.io socket
@@ -67,11 +81,12 @@ export function setupTerminal(socket) {
         language
       });
       
-      // Handle data from container
+      // Handle data from container, decoding characters split across chunks
+      stream.setEncoding('utf8');
       stream.on('data', (chunk) => {
         socket.emit('terminal_output', {
           sessionId,
-          output: chunk.toString()
+          output: chunk
         });
       });
       
@@ -165,18 +180,7 @@ function getImageForLanguage(language) {
     return 'alpine:latest'; // Default to Alpine Linux
   }
   
-  // Map language to appropriate Docker image
-  const imageMap = {
-    javascript: 'node:16-alpine',
-    python: 'python:3.9-alpine',
-    java: 'openjdk:11-jdk-slim',
-    cpp: 'gcc:latest',
-    c: 'gcc:latest',
-    go: 'golang:alpine',
-    ruby: 'ruby:alpine',
-    rust: 'rust:slim',
-    php: 'php:cli-alpine'
-  };
-  
-  return imageMap[language.toLowerCase()] || 'alpine:latest';
+  // Look up the image in the language registry
+  const definition = getLanguage(language);
+  return definition ? definition.terminalImage : 'alpine:latest';
 }
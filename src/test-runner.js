@@ -0,0 +1,387 @@
+/**
+ * Test-case runner
+ * Compiles a program once, runs it with the input of each test case through
+ * the execution backend and judges its stdout against the expected output
+ */
+import { executeCode } from './execution-backend.js';
+import { validateChecker, runChecker } from './checker.js';
+import { matchPattern } from './pattern-matcher.js';
+
+// Most test cases a single run may contain
+export const MAX_TEST_CASES = 50;
+
+// Output comparison modes
+export const COMPARISON_MODES = ['exact', 'trimmed', 'numeric', 'regex'];
+
+// Numeric tolerance when none is given, applied both absolutely and relative to the expected value
+const DEFAULT_TOLERANCE = 1e-6;
+
+// Largest diff computed line by line, longer outputs are compared position by position
+const MAX_DIFF_CELLS = 1000000;
+
+// Verdicts of executions whose program didn't finish normally, by execution status
+const STATUS_VERDICTS = {
+  error: 'runtime_error',
+  timeout: 'time_limit_exceeded',
+  memory_exceeded: 'memory_limit_exceeded',
+  output_limit_exceeded: 'output_limit_exceeded',
+  compile_error: 'compile_error',
+  cancelled: 'cancelled'
+};
+
+/**
+ * Validate test cases and the comparison options of a test run
+ * @param {Array<Object>} testCases - Test cases with input and expectedOutput
+ * @param {Object} comparison - Comparison options (optional)
+ * @param {Object} checker - Checker with language and code (optional)
+ * @throws {Error} - If a test case, the comparison options or the checker are invalid
+ */
+export function validateTestCases(testCases, comparison = {}, checker = null) {
+  if (!Array.isArray(testCases) || testCases.length === 0) {
+    throw new Error('testCases must be a non-empty array');
+  }
+
+  if (testCases.length > MAX_TEST_CASES) {
+    throw new Error(`A test run can contain at most ${MAX_TEST_CASES} test cases`);
+  }
+
+  for (const testCase of testCases) {
+    if (!testCase || typeof testCase.expectedOutput !== 'string' ||
+        (testCase.input !== undefined && typeof testCase.input !== 'string')) {
+      throw new Error('Each test case must have a string expectedOutput and an optional string input');
+    }
+  }
+
+  const { mode, tolerance, flags } = getComparison(comparison);
+
+  if (!COMPARISON_MODES.includes(mode)) {
+    throw new Error(`Unknown comparison mode ${mode}, expected one of: ${COMPARISON_MODES.join(', ')}`);
+  }
+
+  if (typeof tolerance !== 'number' || !(tolerance >= 0)) {
+    throw new Error('Comparison tolerance must be a non-negative number');
+  }
+
+  if (checker) {
+    validateChecker(checker);
+  }
+
+  if (mode === 'regex' && !checker) {
+    for (const testCase of testCases) {
+      try {
+        new RegExp(testCase.expectedOutput, flags);
+      } catch (error) {
+        throw new Error(`Invalid expected output pattern: ${error.message}`);
+      }
+    }
+  }
+}
+
+/**
+ * Run a program against test cases in a single execution
+ * The program is compiled once and run with each input in turn. If it fails to
+ * compile or the run is cancelled, the remaining cases get the same verdict.
+ * Without test cases nothing runs and the result is accepted with a total of 0.
+ * @param {string} code - The code to test
+ * @param {string} language - The programming language
+ * @param {Array<Object>} testCases - Test cases with input and expectedOutput
+ * @param {Object} options - Test run options
+ * @param {Object} options.comparison - Comparison options: mode (default trimmed), tolerance and regex flags
+ * @param {Object} options.checker - Checker judging the output instead of the comparison (optional)
+ * @param {Array<Object>} options.files - Project files with path and content, used instead of code
+ * @param {string} options.entryPoint - Path of the file to run, defaults to the first file
+ * @param {Object} options.languageOptions - Compiler and interpreter options from the language's allowlist
+ * @param {Object} options.limits - Lower timeoutMs and memoryMb for each case (optional)
+ * @param {AbortSignal} options.signal - Cancels the running case and skips the rest
+ * @returns {Promise<Object>} - Overall verdict, passed and total counts, compile result, chosen options and per-case results
+ */
+export async function runTestCases(code, language, testCases, options = {}) {
+  const comparison = getComparison(options.comparison);
+  const startedAt = Date.now();
+  const cases = [];
+  let skipVerdict = null;
+
+  // Nothing to run, e.g. a challenge without test cases
+  if (testCases.length === 0) {
+    return {
+      verdict: 'accepted',
+      passed: 0,
+      total: 0,
+      comparison: options.checker ? { mode: 'checker', language: options.checker.language } : comparison,
+      compile: null,
+      languageOptions: null,
+      cases,
+      durationMs: 0
+    };
+  }
+
+  const result = await executeCode(code, language, '', {
+    files: options.files,
+    entryPoint: options.entryPoint,
+    languageOptions: options.languageOptions,
+    limits: options.limits,
+    signal: options.signal,
+    inputs: testCases.map(testCase => testCase.input || '')
+  });
+  const runs = result.runs || [];
+
+  for (const [index, testCase] of testCases.entries()) {
+    if (skipVerdict) {
+      cases.push(createCaseResult(index, testCase, { verdict: skipVerdict }));
+      continue;
+    }
+
+    // Cases without a run didn't get to run and the result says why, e.g. the program
+    // didn't compile, the run was cancelled or the backend failed after earlier cases
+    const run = runs[index] || result;
+
+    let verdict = STATUS_VERDICTS[run.status];
+    let checkerMessage = null;
+    if (!verdict && options.checker) {
+      ({ verdict, message: checkerMessage } = await runChecker(options.checker, testCase, run.stdout, {
+        signal: options.signal
+      }));
+    } else if (!verdict) {
+      try {
+        verdict = await compareOutput(run.stdout, testCase.expectedOutput, comparison) ? 'accepted' : 'wrong_answer';
+      } catch (error) {
+        if (error.code !== 'PATTERN_TIMEOUT') {
+          throw error;
+        }
+        verdict = 'comparison_error';
+        checkerMessage = error.message;
+      }
+    }
+
+    if (verdict === 'compile_error' || verdict === 'cancelled') {
+      skipVerdict = verdict;
+    }
+
+    cases.push(createCaseResult(index, testCase, {
+      verdict,
+      actualOutput: run.stdout,
+      stderr: run.stderr,
+      exitCode: run.exitCode,
+      checkerMessage,
+      // Outputs judged by a checker may differ from the expected output and still be right
+      diff: verdict === 'wrong_answer' && comparison.mode !== 'regex' && !options.checker
+        ? diffLines(normalizeForDiff(testCase.expectedOutput, comparison), normalizeForDiff(run.stdout, comparison))
+        : null,
+      durationMs: run.durationMs,
+      metrics: run.metrics || null
+    }));
+  }
+
+  const passed = cases.filter(testCase => testCase.verdict === 'accepted').length;
+  const firstFailure = cases.find(testCase => testCase.verdict !== 'accepted');
+
+  return {
+    verdict: firstFailure ? firstFailure.verdict : 'accepted',
+    passed,
+    total: cases.length,
+    comparison: options.checker ? { mode: 'checker', language: options.checker.language } : comparison,
+    compile: result.compile || null,
+    languageOptions: result.languageOptions || null,
+    cases,
+    durationMs: Date.now() - startedAt
+  };
+}
+
+/**
+ * Compare the output of a program to the expected output
+ * - exact: identical, apart from Windows line endings
+ * - trimmed: identical after removing trailing whitespace of each line and blank lines at both ends
+ * - numeric: same whitespace-separated tokens, numbers may differ by the tolerance
+ * - regex: the expected output is a pattern matching the whole trimmed output, matched in a worker thread
+ * @param {string} actual - Output of the program
+ * @param {string} expected - Expected output, or the pattern in regex mode
+ * @param {Object} comparison - Comparison options: mode, tolerance and flags
+ * @returns {Promise<boolean>} - Whether the output is accepted
+ * @throws {Error} - With code PATTERN_TIMEOUT if the pattern takes too long to match
+ */
+export async function compareOutput(actual, expected, comparison = {}) {
+  const { mode, tolerance, flags } = getComparison(comparison);
+  actual = normalizeLineEndings(actual || '');
+  expected = normalizeLineEndings(expected || '');
+
+  switch (mode) {
+    case 'exact':
+      return actual === expected;
+    case 'numeric':
+      return compareTokens(tokenize(actual), tokenize(expected), tolerance);
+    case 'regex':
+      return matchPattern(`^(?:${expected})$`, flags, trimOutput(actual));
+    case 'trimmed':
+    default:
+      return trimOutput(actual) === trimOutput(expected);
+  }
+}
+
+/**
+ * Fill in the defaults of comparison options
+ * @param {Object} comparison - Comparison options (optional)
+ * @returns {Object} - mode, tolerance and flags
+ */
+function getComparison(comparison) {
+  const options = comparison || {};
+
+  return {
+    mode: options.mode || 'trimmed',
+    tolerance: options.tolerance ?? DEFAULT_TOLERANCE,
+    flags: options.flags || ''
+  };
+}
+
+/**
+ * Create the result of one test case
+ * @param {number} index - Index of the test case
+ * @param {Object} testCase - Test case with input and expectedOutput
+ * @param {Object} details - Verdict and, if the case ran, its output and timing
+ * @returns {Object} - Test case result
+ */
+function createCaseResult(index, testCase, details) {
+  return {
+    index,
+    verdict: details.verdict,
+    passed: details.verdict === 'accepted',
+    input: testCase.input || '',
+    expectedOutput: testCase.expectedOutput,
+    actualOutput: details.actualOutput ?? null,
+    stderr: details.stderr ?? null,
+    exitCode: details.exitCode ?? null,
+    checkerMessage: details.checkerMessage ?? null,
+    diff: details.diff || null,
+    durationMs: details.durationMs ?? null,
+    metrics: details.metrics || null
+  };
+}
+
+/**
+ * Convert Windows line endings to Unix ones
+ * @param {string} text - Text
+ * @returns {string} - Text with \n line endings
+ */
+function normalizeLineEndings(text) {
+  return text.replace(/\r\n/g, '\n');
+}
+
+/**
+ * Remove trailing whitespace of each line and blank lines at the start and end
+ * @param {string} text - Text with \n line endings
+ * @returns {string} - Trimmed text
+ */
+function trimOutput(text) {
+  return text
+    .split('\n')
+    .map(line => line.trimEnd())
+    .join('\n')
+    .replace(/^\n+|\n+$/g, '');
+}
+
+/**
+ * Split output into whitespace-separated tokens
+ * @param {string} text - Text
+ * @returns {Array<string>} - Tokens
+ */
+function tokenize(text) {
+  return text.split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Compare tokens, numbers within the tolerance of each other are equal
+ * @param {Array<string>} actual - Tokens of the program output
+ * @param {Array<string>} expected - Tokens of the expected output
+ * @param {number} tolerance - Largest accepted absolute or relative difference
+ * @returns {boolean} - Whether all tokens match
+ */
+function compareTokens(actual, expected, tolerance) {
+  if (actual.length !== expected.length) {
+    return false;
+  }
+
+  return expected.every((token, i) => {
+    if (token === actual[i]) {
+      return true;
+    }
+
+    const expectedNumber = Number(token);
+    const actualNumber = Number(actual[i]);
+    if (!Number.isFinite(expectedNumber) || !Number.isFinite(actualNumber)) {
+      return false;
+    }
+
+    const difference = Math.abs(actualNumber - expectedNumber);
+    return difference <= tolerance || difference <= tolerance * Math.abs(expectedNumber);
+  });
+}
+
+/**
+ * Prepare output for the diff the way the comparison mode sees it
+ * @param {string} text - Output
+ * @param {Object} comparison - Comparison options
+ * @returns {string} - Text to diff
+ */
+function normalizeForDiff(text, comparison) {
+  const normalized = normalizeLineEndings(text || '');
+  return comparison.mode === 'exact' ? normalized : trimOutput(normalized);
+}
+
+/**
+ * Diff expected and actual output line by line
+ * Lines are prefixed with two spaces when both have them, `- ` when only the
+ * expected output has them and `+ ` when only the actual output has them
+ * @param {string} expected - Expected output
+ * @param {string} actual - Actual output
+ * @returns {string} - Diff, one line per output line
+ */
+function diffLines(expected, actual) {
+  const a = expected.split('\n');
+  const b = actual.split('\n');
+
+  // Outputs too long for a line diff are compared position by position
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    const lines = [];
+    for (let i = 0; i < Math.max(a.length, b.length); i++) {
+      if (a[i] === b[i]) {
+        lines.push(`  ${a[i]}`);
+        continue;
+      }
+      if (i < a.length) {
+        lines.push(`- ${a[i]}`);
+      }
+      if (i < b.length) {
+        lines.push(`+ ${b[i]}`);
+      }
+    }
+    return lines.join('\n');
+  }
+
+  // Longest common subsequence lengths of the suffixes
+  const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      lines.push(`  ${a[i]}`);
+      i++;
+      j++;
+    } else if (j >= b.length || (i < a.length && lengths[i + 1][j] >= lengths[i][j + 1])) {
+      lines.push(`- ${a[i]}`);
+      i++;
+    } else {
+      lines.push(`+ ${b[j]}`);
+      j++;
+    }
+  }
+
+  return lines.join('\n');
+}
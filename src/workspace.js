@@ -0,0 +1,262 @@
+/**
+ * Workspace preparation shared by the execution backends
+ * Writes the source files of an execution into its temp directory
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import { getDefaultFilename } from './language-registry.js';
+
+// Limits for multi-file projects
+const MAX_FILES = 50;
+const MAX_PATH_LENGTH = 255;
+const MAX_ARGUMENTS = 64;
+const MAX_ARGUMENTS_LENGTH = 8192;
+
+// Paths end up in shell commands, so only allow characters that need no quoting
+const SAFE_PATH_PATTERN = /^[\w.\-/]+$/;
+
+// Name of the file holding stdin, hidden so it doesn't clash with project files
+export const STDIN_FILENAME = '.stdin';
+
+/**
+ * Validate the files of a multi-file project
+ * Paths must be relative and stay inside the workspace. Content is text, or a
+ * Buffer for files that were sent encoded and may not be UTF-8.
+ * @param {Array<Object>} files - Files with path and content (string or Buffer)
+ * @param {string} entryPoint - Path of the file to run (optional)
+ * @throws {Error} - If the files or entry point are invalid
+ */
+export function validateSourceFiles(files, entryPoint) {
+  if (!Array.isArray(files) || files.length === 0) {
+    throw new Error('files must be a non-empty array');
+  }
+
+  if (files.length > MAX_FILES) {
+    throw new Error(`A project can contain at most ${MAX_FILES} files`);
+  }
+
+  const seen = new Set();
+
+  for (const file of files) {
+    if (!file || typeof file.path !== 'string' || (typeof file.content !== 'string' && !Buffer.isBuffer(file.content))) {
+      throw new Error('Each file must have a string path and content');
+    }
+
+    const normalized = normalizeSourcePath(file.path);
+
+    if (seen.has(normalized)) {
+      throw new Error(`Duplicate file path: ${file.path}`);
+    }
+    seen.add(normalized);
+  }
+
+  if (entryPoint !== undefined && !seen.has(normalizeSourcePath(entryPoint))) {
+    throw new Error(`Entry point ${entryPoint} is not one of the files`);
+  }
+}
+
+/**
+ * Validate the command-line arguments of an execution
+ * @param {Array<string>} args - Program arguments
+ * @throws {Error} - If args isn't an array of strings or is too long
+ */
+export function validateArguments(args) {
+  if (!Array.isArray(args) || args.some(arg => typeof arg !== 'string')) {
+    throw new Error('args must be an array of strings');
+  }
+
+  if (args.length > MAX_ARGUMENTS) {
+    throw new Error(`An execution can have at most ${MAX_ARGUMENTS} arguments`);
+  }
+
+  if (args.reduce((length, arg) => length + arg.length, 0) > MAX_ARGUMENTS_LENGTH) {
+    throw new Error(`Arguments can be at most ${MAX_ARGUMENTS_LENGTH} characters long`);
+  }
+
+  if (args.some(arg => arg.includes('\0'))) {
+    throw new Error('Arguments cannot contain null characters');
+  }
+}
+
+/**
+ * Normalize a project file path and reject paths escaping the workspace
+ * @param {string} filePath - Path relative to the workspace root
+ * @returns {string} - Normalized POSIX path
+ * @throws {Error} - If the path is absolute, empty or escapes the workspace
+ */
+export function normalizeSourcePath(filePath) {
+  if (typeof filePath !== 'string' || !filePath || filePath.length > MAX_PATH_LENGTH) {
+    throw new Error(`Invalid file path: ${filePath}`);
+  }
+
+  const normalized = path.posix.normalize(filePath.replace(/\\/g, '/'));
+
+  if (!SAFE_PATH_PATTERN.test(normalized)) {
+    throw new Error(`File path may only contain letters, digits, '_', '-', '.' and '/': ${filePath}`);
+  }
+
+  if (path.posix.isAbsolute(normalized) || normalized === '.' || normalized === '..' || normalized.startsWith('../')) {
+    throw new Error(`File path must stay inside the project: ${filePath}`);
+  }
+
+  if (normalized === STDIN_FILENAME) {
+    throw new Error(`File path is reserved: ${filePath}`);
+  }
+
+  return normalized;
+}
+
+/**
+ * Write project files into a workspace directory
+ * @param {string} dir - Workspace directory
+ * @param {Array<Object>} files - Files with path and content (string or Buffer)
+ * @returns {Promise<void>}
+ */
+export async function writeSourceFiles(dir, files) {
+  const root = path.resolve(dir);
+
+  for (const file of files) {
+    const target = path.resolve(root, normalizeSourcePath(file.path));
+
+    // Double check the resolved path, e.g. against symlinked parents
+    if (!target.startsWith(root + path.sep)) {
+      throw new Error(`File path must stay inside the project: ${file.path}`);
+    }
+
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(target, file.content);
+  }
+}
+
+/**
+ * Let the unprivileged sandbox user write everywhere in a workspace
+ * Needed because the files are written by the server, e.g. for compilers that
+ * put output next to the sources
+ * @param {string} dir - Workspace directory
+ * @returns {Promise<void>}
+ */
+export async function shareWorkspace(dir) {
+  await fs.chmod(dir, 0o777);
+
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    const entryPath = path.join(dir, entry.name);
+
+    if (entry.isDirectory()) {
+      await shareWorkspace(entryPath);
+    } else if (entry.isFile()) {
+      await fs.chmod(entryPath, 0o666);
+    }
+  }
+}
+
+/**
+ * Give a workspace to the sandbox user alone
+ * Directories get 0700 and files 0600, owned by the sandbox user if an owner is
+ * given, otherwise by the server's user, which unprivileged sandboxes run as
+ * @param {string} dir - Workspace directory
+ * @param {Object} owner - uid and gid of the sandbox user, null to keep the owner
+ * @returns {Promise<void>}
+ */
+export async function restrictWorkspace(dir, owner) {
+  if (owner) {
+    await fs.chown(dir, owner.uid, owner.gid);
+  }
+  await fs.chmod(dir, 0o700);
+
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    const entryPath = path.join(dir, entry.name);
+
+    if (entry.isDirectory()) {
+      await restrictWorkspace(entryPath, owner);
+    } else if (entry.isFile()) {
+      if (owner) {
+        await fs.chown(entryPath, owner.uid, owner.gid);
+      }
+      await fs.chmod(entryPath, 0o600);
+    }
+  }
+}
+
+/**
+ * Get the files and entry point of an execution
+ * A single `code` string becomes a one-file project named after the language's default file name
+ * @param {string} code - Source code (used when no files are given)
+ * @param {string} defaultFilename - File name for single-file executions
+ * @param {Object} options - Execution options
+ * @param {Array<Object>} options.files - Files with path and content
+ * @param {string} options.entryPoint - Path of the file to run, defaults to the first file
+ * @returns {Object} - files with normalized paths and entryPoint
+ */
+export function resolveSourceFiles(code, defaultFilename, options = {}) {
+  if (options.files && options.files.length > 0) {
+    validateSourceFiles(options.files, options.entryPoint);
+    return {
+      files: options.files.map(file => ({ path: normalizeSourcePath(file.path), content: file.content })),
+      entryPoint: normalizeSourcePath(options.entryPoint || options.files[0].path)
+    };
+  }
+
+  return {
+    files: [{ path: defaultFilename, content: code }],
+    entryPoint: defaultFilename
+  };
+}
+
+/**
+ * Get the files and entry point of an execution for a language
+ * @param {string} code - Source code for single-file executions
+ * @param {Object} language - Language definition from the registry
+ * @param {Object} options - Execution options with files and entryPoint
+ * @returns {Object} - files with normalized paths and entryPoint
+ */
+export function getProjectFiles(code, language, options = {}) {
+  const { files, entryPoint } = resolveSourceFiles(code, getDefaultFilename(language, code), options);
+
+  // Node treats .js files as CommonJS unless package.json says otherwise
+  if (language.detectEsModules &&
+      !files.some(file => file.path === 'package.json') &&
+      files.some(file => usesEsModuleSyntax(getFileText(file)))) {
+    return {
+      files: [...files, { path: 'package.json', content: JSON.stringify({ type: 'module' }) }],
+      entryPoint
+    };
+  }
+
+  return { files, entryPoint };
+}
+
+/**
+ * Get the values for the placeholders of language commands
+ * @param {Array<Object>} files - Project files
+ * @param {string} entryPoint - Path of the file to run
+ * @returns {Object} - entry, entryName and mainClass
+ */
+export function getCommandVariables(files, entryPoint) {
+  const entryFile = files.find(file => file.path === entryPoint);
+  const entryName = path.posix.parse(entryPoint).name;
+  const packageMatch = entryFile && getFileText(entryFile).match(/^\s*package\s+([\w.]+)\s*;?\s*$/m);
+
+  return {
+    entry: entryPoint,
+    entryName,
+    mainClass: packageMatch ? `${packageMatch[1]}.${entryName}` : entryName
+  };
+}
+
+/**
+ * Get the content of a project file as text
+ * @param {Object} file - File with path and content (string or Buffer)
+ * @returns {string} - Content, Buffers decoded as UTF-8
+ */
+export function getFileText(file) {
+  return Buffer.isBuffer(file.content) ? file.content.toString('utf8') : file.content;
+}
+
+/**
+ * Check whether a JavaScript file uses ES module syntax
+ * @param {string} content - File content
+ * @returns {boolean} - True if the file has top-level import or export statements
+ */
+function usesEsModuleSyntax(content) {
+  return /^\s*(import\s+[\w{*'"]|export\s+)/m.test(content);
+}
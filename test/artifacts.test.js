@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { setUpLocalSandbox } from './helpers.js';
+
+const { artifactsDir, skip } = await setUpLocalSandbox('artifacts');
+const { executeCode } = await import('../src/local-sandbox-service.js');
+const { getArtifactPath } = await import('../src/artifacts.js');
+
+// Writes outputs/report.txt, creating the directory in case it isn't collected
+const WRITE_REPORT = "import os\nos.makedirs('outputs', exist_ok=True)\nopen('outputs/report.txt', 'w').write('secret')";
+
+test('artifacts are only collected when asked for', { skip }, async () => {
+  const result = await executeCode(WRITE_REPORT, 'python', '');
+
+  assert.equal(result.status, 'success', result.stderr);
+  assert.deepEqual(result.artifacts, []);
+  assert.equal(getArtifactPath(result.executionId, 'report.txt', null), null);
+});
+
+test('artifacts of signed in users are only available to them', { skip }, async () => {
+  const result = await executeCode(WRITE_REPORT, 'python', '', { collectArtifacts: true, userId: 'alice' });
+
+  assert.deepEqual(result.artifacts.map(artifact => artifact.name), ['report.txt']);
+  assert.equal(getArtifactPath(result.executionId, 'report.txt', 'bob'), null);
+  assert.equal(getArtifactPath(result.executionId, 'report.txt', null), null);
+
+  const artifactPath = getArtifactPath(result.executionId, 'report.txt', 'alice');
+  assert.equal(await fs.readFile(artifactPath, 'utf8'), 'secret');
+});
+
+test('the artifact store is private and hidden from programs', { skip }, async () => {
+  const stored = await executeCode(WRITE_REPORT, 'python', '', { collectArtifacts: true });
+  assert.equal((await fs.stat(artifactsDir)).mode & 0o777, 0o700);
+
+  const result = await executeCode([
+    'import os',
+    `print(os.listdir(${JSON.stringify(artifactsDir)}))`,
+    'try:',
+    `    print(open(${JSON.stringify(path.join(artifactsDir, stored.executionId, 'report.txt'))}).read())`,
+    'except OSError:',
+    "    print('denied')"
+  ].join('\n'), 'python', '');
+
+  assert.equal(result.stdout, '[]\ndenied\n');
+});
+
+test('results have the same shape on every path', { skip }, async () => {
+  const keys = Object.keys(await executeCode("print('ok')", 'python', '')).sort();
+  const compileError = await executeCode('int main( {', 'c', '', { languageOptions: { standard: 'c11' } });
+  const error = await executeCode('console.log(1)', 'javascript', '');
+
+  assert.equal(compileError.status, 'compile_error');
+  assert.equal(error.status, 'error');
+  assert.deepEqual(Object.keys(compileError).sort(), keys);
+  assert.deepEqual(Object.keys(error).sort(), keys);
+  assert.deepEqual(compileError.languageOptions.selected, { standard: 'c11' });
+  assert.deepEqual(error.artifacts, []);
+});
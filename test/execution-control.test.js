@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PassThrough } from 'stream';
+
+process.env.MAX_STDIN_BYTES = '10';
+const { trackExecution, untrackExecution, writeExecutionStdin } = await import('../src/execution-control.js');
+
+test('interactive input beyond MAX_STDIN_BYTES is rejected', () => {
+  const stdin = new PassThrough();
+  trackExecution('stdin-limit', { stdin });
+
+  assert.equal(writeExecutionStdin('stdin-limit', '12345678'), null);
+  assert.match(writeExecutionStdin('stdin-limit', '123'), /limit of 10 bytes/);
+  assert.equal(writeExecutionStdin('stdin-limit', '90', true), null);
+  assert.equal(stdin.read().toString(), '1234567890');
+
+  untrackExecution('stdin-limit');
+});
+
+test('interactive input is rejected until the buffered input was read', async () => {
+  const stdin = new PassThrough({ highWaterMark: 4 });
+  trackExecution('stdin-backpressure', { stdin });
+
+  assert.equal(writeExecutionStdin('stdin-backpressure', '1234'), null);
+  assert.match(writeExecutionStdin('stdin-backpressure', '5'), /not being read/);
+
+  stdin.resume();
+  await new Promise(resolve => stdin.once('drain', resolve));
+  assert.equal(writeExecutionStdin('stdin-backpressure', '5'), null);
+
+  untrackExecution('stdin-backpressure');
+});
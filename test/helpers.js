@@ -0,0 +1,45 @@
+/**
+ * Shared setup of the tests
+ * Every test file runs in its own process, so the environment can be set before
+ * the modules under test are imported. Test files call setUpLocalSandbox first
+ * and import the modules under test dynamically afterwards.
+ */
+import { after } from 'node:test';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Run executions in the local sandbox inside a temporary directory removed after the tests
+ * @param {string} name - Name of the test file, used for the directory name
+ * @param {Object} env - Further environment variables to set (optional)
+ * @returns {Promise<Object>} - tempDir, sandboxDir (LOCAL_SANDBOX_DIR), artifactsDir (ARTIFACTS_DIR) and
+ * skip, the reason to skip tests that run programs or false if the local sandbox works
+ */
+export async function setUpLocalSandbox(name, env = {}) {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), `${name}-test-`));
+  // The sandbox user has to reach its workspace below it
+  await fs.chmod(tempDir, 0o755);
+  const sandboxDir = path.join(tempDir, 'sandbox');
+  const artifactsDir = path.join(tempDir, 'artifacts');
+
+  process.env.EXECUTION_BACKEND = 'local';
+  process.env.LOCAL_SANDBOX_DIR = sandboxDir;
+  process.env.ARTIFACTS_DIR = artifactsDir;
+  delete process.env.CGROUP_ROOT;
+  Object.assign(process.env, env);
+
+  after(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  const { checkHealth } = await import('../src/local-sandbox-service.js');
+  const health = await checkHealth();
+
+  return {
+    tempDir,
+    sandboxDir,
+    artifactsDir,
+    skip: health.reachable ? false : `local sandbox unavailable: ${health.error}`
+  };
+}
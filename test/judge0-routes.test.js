@@ -0,0 +1,60 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { setUpLocalSandbox } from './helpers.js';
+
+// Recording the executions fails fast, there's no database
+const { skip } = await setUpLocalSandbox('judge0-routes', {
+  MONGODB_URI: 'mongodb://127.0.0.1:1/?serverSelectionTimeoutMS=100',
+  MAX_QUEUED_PER_USER: '2',
+  MAX_CONCURRENT_PER_USER: '1'
+});
+const { default: judge0Routes } = await import('../src/routes/judge0-routes.js');
+
+const app = express();
+app.use(express.json());
+app.use('/api/judge0', judge0Routes);
+const server = app.listen(0);
+const baseUrl = `http://127.0.0.1:${server.address().port}/api/judge0`;
+
+after(() => {
+  server.close();
+});
+
+/**
+ * Send a JSON request to the routes
+ * @param {string} path - Path below /api/judge0
+ * @param {Object} body - Request body (optional)
+ * @returns {Promise<Object>} - status and body of the response
+ */
+async function request(path, body) {
+  const response = await fetch(`${baseUrl}${path}`, body ? {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  } : {});
+  return { status: response.status, body: await response.json() };
+}
+
+test('a batch larger than the per-user queue runs every submission', { skip }, async () => {
+  const submissions = Array.from({ length: 6 }, (_, index) => ({
+    language_id: 71,
+    source_code: `print(${index})`
+  }));
+
+  const { status, body } = await request('/submissions/batch', { submissions });
+
+  assert.equal(status, 201, JSON.stringify(body));
+  assert.equal(body.length, 6);
+  const tokens = body.map(entry => entry.token);
+  assert.ok(tokens.every(Boolean), JSON.stringify(body));
+
+  const deadline = Date.now() + 30000;
+  let results;
+  do {
+    await new Promise(resolve => setTimeout(resolve, 200));
+    ({ body: { submissions: results } } = await request(`/submissions/batch?tokens=${tokens.join(',')}&fields=stdout,status`));
+  } while (results.some(result => result.status.id <= 2) && Date.now() < deadline);
+
+  assert.deepEqual(results.map(result => result.stdout), ['0\n', '1\n', '2\n', '3\n', '4\n', '5\n']);
+});
@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import { setUpLocalSandbox } from './helpers.js';
+
+const { skip } = await setUpLocalSandbox('learning-paths');
+const { getSampleLearningPaths } = await import('../src/learning-paths.js');
+const { runTestCases } = await import('../src/test-runner.js');
+
+const challenges = getSampleLearningPaths().flatMap(learningPath => learningPath.challenges);
+
+for (const challenge of challenges) {
+  test(`solution of ${challenge.id} passes its test cases`, { skip }, async () => {
+    const result = await runTestCases(challenge.solutionCode, challenge.language, challenge.testCases, {
+      comparison: challenge.comparison,
+      checker: challenge.checker,
+      limits: challenge.limits
+    });
+
+    const failures = result.cases.filter(testCase => !testCase.passed);
+    assert.equal(result.verdict, 'accepted', JSON.stringify(failures, null, 2));
+  });
+}
+
+test('python solutions use only Python 3.9 syntax', { skip }, () => {
+  // The python image runs 3.9, newer hosts would accept newer syntax
+  const solutions = challenges.filter(challenge => challenge.language === 'python').map(challenge => challenge.solutionCode);
+  const check = 'import ast, json, sys\nfor code in json.load(sys.stdin):\n    ast.parse(code, feature_version=(3, 9))';
+
+  assert.doesNotThrow(() => execFileSync('python3', ['-c', check], { input: JSON.stringify(solutions), stdio: 'pipe' }));
+});
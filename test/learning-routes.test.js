@@ -0,0 +1,46 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { setUpLocalSandbox } from './helpers.js';
+
+// Anonymous submissions aren't stored, the database is never contacted
+const { skip } = await setUpLocalSandbox('learning-routes', {
+  MONGODB_URI: 'mongodb://127.0.0.1:1',
+  OPENAI_API_KEY: ''
+});
+const { default: learningRoutes } = await import('../src/routes/learning-routes.js');
+
+const app = express();
+app.use(express.json());
+app.use('/api', learningRoutes);
+const server = app.listen(0);
+const baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+
+after(() => {
+  server.close();
+});
+
+test('a slow test case is graded time_limit_exceeded without failing the others', { skip }, async () => {
+  // Loops forever on the first, visible case and solves the second, hidden one
+  const code = [
+    'import json',
+    'numbers = json.loads(input())',
+    'while numbers == [5, 2, 8, 1, 9]:',
+    '    pass',
+    'print(sorted(numbers, reverse=True)[1])'
+  ].join('\n');
+
+  const response = await fetch(`${baseUrl}/learning/challenges/py-list-operations/submit`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ code })
+  });
+  const feedback = await response.json();
+
+  assert.equal(response.status, 200, JSON.stringify(feedback));
+  assert.equal(feedback.passed, false);
+  assert.equal(feedback.tests.verdict, 'time_limit_exceeded');
+  assert.equal(feedback.execution.status, 'time_limit_exceeded');
+  assert.deepEqual(feedback.tests.cases.map(testCase => testCase.passed), [false, true]);
+  assert.equal(feedback.tests.passed, 1);
+});
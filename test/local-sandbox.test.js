@@ -0,0 +1,79 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { setUpLocalSandbox } from './helpers.js';
+
+const { sandboxDir, skip } = await setUpLocalSandbox('local-sandbox');
+const { executeCode } = await import('../src/local-sandbox-service.js');
+
+before(async () => {
+  // Stands in for the workspace of a concurrent execution
+  await fs.mkdir(path.join(sandboxDir, 'victim'), { recursive: true });
+  await fs.writeFile(path.join(sandboxDir, 'victim', '.stdin'), 'original');
+});
+
+test('programs only see their own workspace', { skip }, async () => {
+  const result = await executeCode([
+    'import os',
+    `print(sorted(os.listdir(${JSON.stringify(sandboxDir)})))`,
+    'try:',
+    `    open(${JSON.stringify(path.join(sandboxDir, 'victim', '.stdin'))}, 'w').write('tampered')`,
+    'except OSError:',
+    "    print('denied')"
+  ].join('\n'), 'python', '', { executionId: 'attacker' });
+
+  assert.equal(result.status, 'success', result.stderr);
+  assert.equal(result.stdout, "['attacker']\ndenied\n");
+  assert.equal(await fs.readFile(path.join(sandboxDir, 'victim', '.stdin'), 'utf8'), 'original');
+});
+
+test('workspaces are only accessible to the sandbox user', { skip }, async () => {
+  const result = await executeCode("import os, stat\nprint(oct(stat.S_IMODE(os.stat('..').st_mode)))", 'python', '');
+
+  assert.equal(result.stdout, '0o700\n');
+});
+
+test('programs cannot remove the mounts hiding other workspaces', { skip }, async () => {
+  const result = await executeCode(
+    `import subprocess\nprint(subprocess.run(['umount', ${JSON.stringify(sandboxDir)}], capture_output=True).returncode != 0)`,
+    'python',
+    ''
+  );
+
+  assert.equal(result.stdout, 'True\n');
+});
+
+test('environment variables reach the program', { skip }, async () => {
+  const result = await executeCode("import os\nprint(os.getenv('GREETING'))", 'python', '', { env: { GREETING: 'hello' } });
+
+  assert.equal(result.stdout, 'hello\n');
+});
+
+test('languages without an address space limit are refused without cgroups', { skip }, async () => {
+  const result = await executeCode('console.log(1)', 'javascript', '');
+
+  assert.equal(result.status, 'error');
+  assert.match(result.stderr, /needs cgroup memory limits/);
+});
+
+test('programs killed by SIGKILL without an OOM kill are runtime errors', { skip }, async () => {
+  const result = await executeCode('import os, signal\nos.kill(os.getpid(), signal.SIGKILL)', 'python', '');
+
+  assert.equal(result.exitCode, 137);
+  assert.equal(result.status, 'error');
+});
+
+test('characters split across output chunks are decoded intact', { skip }, async () => {
+  const code = [
+    'import sys, time',
+    "data = 'é€'.encode()",
+    'for i in range(len(data)):',
+    '    sys.stdout.buffer.write(data[i:i + 1])',
+    '    sys.stdout.buffer.flush()',
+    '    time.sleep(0.05)'
+  ].join('\n');
+  const result = await executeCode(code, 'python', '');
+
+  assert.equal(result.stdout, 'é€');
+});
@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setUpLocalSandbox } from './helpers.js';
+
+const { skip } = await setUpLocalSandbox('piston-adapter');
+const { parseExecuteRequest } = await import('../src/piston-adapter.js');
+const { executeCode } = await import('../src/local-sandbox-service.js');
+
+// Bytes that aren't valid UTF-8
+const BINARY = Buffer.from([0xff, 0x00, 0x80, 0xfe]);
+
+test('encoded files keep their bytes', () => {
+  const { options } = parseExecuteRequest({
+    language: 'python',
+    files: [
+      { content: 'print(1)' },
+      { name: 'data.bin', content: BINARY.toString('base64'), encoding: 'base64' },
+      { name: 'data.hex', content: BINARY.toString('hex'), encoding: 'hex' }
+    ]
+  });
+
+  assert.equal(options.files[0].content, 'print(1)');
+  assert.deepEqual(options.files[1].content, BINARY);
+  assert.deepEqual(options.files[2].content, BINARY);
+});
+
+test('programs read encoded files byte for byte', { skip }, async () => {
+  const { language, input, options } = parseExecuteRequest({
+    language: 'python',
+    files: [
+      { name: 'main.py', content: "print(open('data.bin', 'rb').read().hex())" },
+      { name: 'data.bin', content: BINARY.toString('base64'), encoding: 'base64' }
+    ]
+  });
+
+  const result = await executeCode(null, language.id, input, options);
+
+  assert.equal(result.stdout, `${BINARY.toString('hex')}\n`);
+});
@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setUpLocalSandbox } from './helpers.js';
+
+const { skip } = await setUpLocalSandbox('test-runner', { PATTERN_TIMEOUT_MS: '500' });
+const { compareOutput, runTestCases } = await import('../src/test-runner.js');
+
+test('comparison modes', async () => {
+  assert.equal(await compareOutput('1\r\n2\n', '1\n2\n', { mode: 'exact' }), true);
+  assert.equal(await compareOutput('1 \n2\n\n', '1\n2', { mode: 'trimmed' }), true);
+  assert.equal(await compareOutput('3.1415927', '3.14159265', { mode: 'numeric' }), true);
+  assert.equal(await compareOutput('3.2', '3.1', { mode: 'numeric' }), false);
+  assert.equal(await compareOutput('Answer: 42\n', 'answer: \\d+', { mode: 'regex', flags: 'i' }), true);
+  assert.equal(await compareOutput('Answer: 42 and more', 'Answer: \\d+', { mode: 'regex' }), false);
+});
+
+test('catastrophic patterns time out without blocking the server', async () => {
+  let ticks = 0;
+  const interval = setInterval(() => ticks++, 50);
+
+  try {
+    await assert.rejects(
+      compareOutput('a'.repeat(31), '(a+)+b', { mode: 'regex' }),
+      { code: 'PATTERN_TIMEOUT' }
+    );
+  } finally {
+    clearInterval(interval);
+  }
+
+  assert.ok(ticks >= 5, `event loop ran ${ticks} times while matching`);
+  // The matcher still works after its worker was replaced
+  assert.equal(await compareOutput('42', '\\d+', { mode: 'regex' }), true);
+});
+
+test('programs are compiled once for all test cases', { skip }, async () => {
+  // Each run counts itself in a file, which only persists within one execution
+  const code = [
+    '#include <stdio.h>',
+    'int main(void) {',
+    '  int runs = 0, n = 0;',
+    '  FILE *f = fopen("runs", "r");',
+    '  if (f) { fscanf(f, "%d", &runs); fclose(f); }',
+    '  f = fopen("runs", "w"); fprintf(f, "%d", runs + 1); fclose(f);',
+    '  scanf("%d", &n);',
+    '  printf("%d %d\\n", runs + 1, n * 2);',
+    '  return 0;',
+    '}'
+  ].join('\n');
+
+  const result = await runTestCases(code, 'c', [
+    { input: '1', expectedOutput: '1 2' },
+    { input: '2', expectedOutput: '2 4' },
+    { input: '3', expectedOutput: '3 6' }
+  ]);
+
+  assert.equal(result.compile.status, 'success');
+  assert.deepEqual(result.cases.map(testCase => testCase.actualOutput), ['1 2\n', '2 4\n', '3 6\n']);
+  assert.equal(result.verdict, 'accepted');
+});
+
+test('a pattern that times out gives a comparison error', { skip }, async () => {
+  const result = await runTestCases("print('a' * 31)", 'python', [
+    { input: '', expectedOutput: '(a+)+b' },
+    { input: '', expectedOutput: 'a+' }
+  ], { comparison: { mode: 'regex' } });
+
+  assert.deepEqual(result.cases.map(testCase => testCase.verdict), ['comparison_error', 'accepted']);
+  assert.match(result.cases[0].checkerMessage, /took longer than 500ms/);
+});
+
+test('cases exceeding the time limit get time_limit_exceeded', { skip }, async () => {
+  const result = await runTestCases('import sys\nif sys.stdin.read() == "slow":\n    while True: pass\nprint("ok")', 'python', [
+    { input: 'fast', expectedOutput: 'ok' },
+    { input: 'slow', expectedOutput: 'ok' }
+  ], { limits: { timeoutMs: 500 } });
+
+  assert.deepEqual(result.cases.map(testCase => testCase.verdict), ['accepted', 'time_limit_exceeded']);
+  assert.ok(result.cases[1].durationMs < 5000, `took ${result.cases[1].durationMs}ms`);
+});
+
+test('cases after a timed out case still run', { skip }, async () => {
+  const result = await runTestCases('import sys\nif sys.stdin.read() == "slow":\n    while True: pass\nprint("ok")', 'python', [
+    { input: 'slow', expectedOutput: 'ok' },
+    { input: 'fast', expectedOutput: 'ok' }
+  ], { limits: { timeoutMs: 500 } });
+
+  assert.deepEqual(result.cases.map(testCase => testCase.verdict), ['time_limit_exceeded', 'accepted']);
+  assert.equal(result.cases[1].actualOutput, 'ok\n');
+});
+
+test('runs without test cases execute nothing', async () => {
+  const result = await runTestCases('int main( {', 'c', []);
+
+  assert.equal(result.verdict, 'accepted');
+  assert.equal(result.total, 0);
+  assert.equal(result.compile, null);
+  assert.deepEqual(result.cases, []);
+});